@@ -0,0 +1,25 @@
+export class CacheApiStorage {
+
+    constructor(name = 'fetch-plus') {
+        this.name = name;
+    }
+
+    async match(request) {
+        const cache = await caches.open(this.name);
+        return await cache.match(request);
+    }
+
+    async put(request, response) {
+        const cache = await caches.open(this.name);
+        return await cache.put(request, response);
+    }
+
+    async delete(request) {
+        const cache = await caches.open(this.name);
+        return await cache.delete(request);
+    }
+
+    async clear() {
+        return await caches.delete(this.name);
+    }
+}
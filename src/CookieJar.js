@@ -0,0 +1,215 @@
+import { HeadersPlus } from './HeadersPlus.js';
+
+export class CookieJar {
+
+    static fromJSON(json, options = {}) {
+        const { cookies = [] } = typeof json === 'string' ? JSON.parse(json) : json;
+        const jar = new this(options);
+        for (const cookie of cookies) jar.#store(cookie);
+        return jar;
+    }
+
+    #cookies = new Map;
+    #isPublicSuffix;
+
+    constructor({ isPublicSuffix: $isPublicSuffix = isPublicSuffix } = {}) {
+        // Single-label domains are never registrable, whatever the list
+        this.#isPublicSuffix = (domain) => !domain.includes('.') || !!$isPublicSuffix(domain);
+    }
+
+    get size() {
+        this.#evictExpired();
+        return this.#cookies.size;
+    }
+
+    ingest(response, url = response.url) {
+        const headers = HeadersPlus.upgradeInPlace(response.headers);
+        const $url = new URL(url);
+        const accepted = [];
+        for (const setCookie of headers.get('Set-Cookie', true)) {
+            const cookie = this.#parse(setCookie, $url);
+            if (!cookie) continue;
+            if (cookie.expires !== null && cookie.expires <= Date.now()) {
+                this.#cookies.delete(keyOf(cookie));
+                continue;
+            }
+            this.#store(cookie);
+            accepted.push(cookie);
+        }
+        return accepted;
+    }
+
+    attach(request, { site = null } = {}) {
+        const cookies = this.cookiesFor(request.url, { site, method: request.method });
+        if (!cookies.length) return request;
+
+        const headers = HeadersPlus.upgradeInPlace(request.headers);
+        const existing = headers.get('Cookie', true);
+        const names = existing.map((c) => c.name);
+        headers.set('Cookie', existing.concat(cookies.filter((c) => !names.includes(c.name)).map(({ name, value }) => ({ name, value }))));
+        return request;
+    }
+
+    cookiesFor(url, { site = null, method = 'GET' } = {}) {
+        this.#evictExpired();
+        const $url = new URL(url);
+        const host = $url.hostname.toLowerCase();
+        const crossSite = site && !isSameSite(new URL(site).hostname, host, this.#isPublicSuffix);
+
+        const cookies = [...this.#cookies.values()].filter((cookie) => {
+            if (cookie.hostOnly ? host !== cookie.domain : !domainMatches(host, cookie.domain)) return false;
+            if (!pathMatches($url.pathname, cookie.path)) return false;
+            if (cookie.secure && !isSecureOrigin($url)) return false;
+            if (crossSite) {
+                if (cookie.sameSite === 'strict') return false;
+                if (cookie.sameSite === 'lax' && !['GET', 'HEAD'].includes(method.toUpperCase())) return false;
+            }
+            return true;
+        });
+
+        // Longer paths first, then earlier creation times
+        return cookies.sort((a, b) => b.path.length - a.path.length || a.creationTime - b.creationTime);
+    }
+
+    delete(name, { domain = null, path = null } = {}) {
+        for (const [key, cookie] of this.#cookies) {
+            if (cookie.name !== name) continue;
+            if (domain && cookie.domain !== domain.toLowerCase().replace(/^\./, '')) continue;
+            if (path && cookie.path !== path) continue;
+            this.#cookies.delete(key);
+        }
+    }
+
+    clear() {
+        this.#cookies.clear();
+    }
+
+    toJSON() {
+        this.#evictExpired();
+        return { cookies: [...this.#cookies.values()].map((cookie) => ({ ...cookie })) };
+    }
+
+    #store(cookie) {
+        const key = keyOf(cookie);
+        const existing = this.#cookies.get(key);
+        this.#cookies.set(key, { ...cookie, creationTime: existing?.creationTime ?? cookie.creationTime ?? Date.now() });
+    }
+
+    #evictExpired() {
+        const now = Date.now();
+        for (const [key, cookie] of this.#cookies) {
+            if (cookie.expires !== null && cookie.expires <= now) this.#cookies.delete(key);
+        }
+    }
+
+    #parse(setCookie, url) {
+        // Attribute names are case-insensitive
+        const attrs = Object.fromEntries(Object.entries(setCookie).map(([k, v]) => [k.toLowerCase(), v]));
+        const { name, value = '' } = setCookie;
+        if (!name) return;
+
+        const host = url.hostname.toLowerCase();
+        const secureOrigin = isSecureOrigin(url);
+        const secure = !!attrs.secure;
+        if (secure && !secureOrigin) return;
+
+        // Domain
+        let domain = host, hostOnly = true;
+        if (typeof attrs.domain === 'string' && attrs.domain.trim()) {
+            domain = attrs.domain.trim().toLowerCase().replace(/^\./, '');
+            if (!domainMatches(host, domain)) return;
+            // A public suffix can only name the host itself, as a host-only cookie
+            if (this.#isPublicSuffix(domain)) {
+                if (domain !== host) return;
+            } else {
+                hostOnly = false;
+            }
+        }
+
+        // Path
+        let path = typeof attrs.path === 'string' && attrs.path.startsWith('/') ? attrs.path : defaultPath(url.pathname);
+
+        // Expiry: Max-Age takes precedence over Expires
+        let expires = null;
+        if (attrs.maxage !== undefined && /^-?\d+$/.test(attrs.maxage)) {
+            expires = Date.now() + parseInt(attrs.maxage, 10) * 1000;
+        } else if (typeof attrs.expires === 'string') {
+            const date = Date.parse(attrs.expires);
+            if (!Number.isNaN(date)) expires = date;
+        }
+
+        // SameSite
+        let sameSite = typeof attrs.samesite === 'string' ? attrs.samesite.toLowerCase() : 'lax';
+        if (!['strict', 'lax', 'none'].includes(sameSite)) sameSite = 'lax';
+        if (sameSite === 'none' && !secure) return;
+
+        // Cookie prefixes
+        if (name.startsWith('__Secure-') && !secure) return;
+        if (name.startsWith('__Host-') && (!secure || !hostOnly || path !== '/')) return;
+
+        return { name, value, domain, path, expires, secure, httpOnly: !!attrs.httponly, sameSite, hostOnly, creationTime: Date.now() };
+    }
+}
+
+// ------ Util
+
+function keyOf(cookie) {
+    return `${cookie.name};${cookie.domain};${cookie.path}`;
+}
+
+export function domainMatches(host, domain) {
+    if (host === domain) return true;
+    // Domain cookies don't apply to IP addresses
+    if (/^[\d.]+$/.test(host) || host.includes(':')) return false;
+    return host.endsWith(`.${domain}`);
+}
+
+export function pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+export function defaultPath(requestPath) {
+    if (!requestPath.startsWith('/') || requestPath.lastIndexOf('/') === 0) return '/';
+    return requestPath.substring(0, requestPath.lastIndexOf('/'));
+}
+
+function isSecureOrigin(url) {
+    return url.protocol === 'https:' || ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+}
+
+function isSameSite(hostA, hostB, isPublicSuffix) {
+    return registrableDomain(hostA, isPublicSuffix) === registrableDomain(hostB, isPublicSuffix);
+}
+
+export function registrableDomain(host, $isPublicSuffix = isPublicSuffix) {
+    const $host = host.toLowerCase();
+    if (/^[\d.]+$/.test($host) || $host.includes(':')) return $host;
+    // The longest public suffix, plus one label
+    const labels = $host.split('.');
+    for (let i = 0; i < labels.length; i++) {
+        if ($isPublicSuffix(labels.slice(i).join('.'))) return labels.slice(Math.max(0, i - 1)).join('.');
+    }
+    return $host;
+}
+
+export function isPublicSuffix(domain) {
+    // Single-label domains are top-level domains, or local names like "localhost"
+    return !domain.includes('.') || publicSuffixes.includes(domain);
+}
+
+// The fallback for jars without an isPublicSuffix option: a subset of the Public Suffix List, of common multi-label suffixes
+export const publicSuffixes = [
+    'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk', 'ac.uk', 'gov.uk', 'nhs.uk', 'sch.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'id.au',
+    'co.nz', 'org.nz', 'net.nz', 'govt.nz', 'ac.nz',
+    'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+    'co.kr', 'or.kr', 'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'com.hk', 'com.tw', 'com.sg', 'com.my',
+    'co.in', 'net.in', 'org.in', 'gov.in', 'ac.in',
+    'co.za', 'org.za', 'com.ng', 'co.ke', 'com.eg',
+    'com.br', 'net.br', 'org.br', 'gov.br', 'com.mx', 'com.ar', 'com.co', 'com.pe',
+    'com.tr', 'com.ua', 'co.il', 'com.sa', 'ac.il',
+    'github.io', 'gitlab.io', 'herokuapp.com', 'vercel.app', 'netlify.app', 'pages.dev', 'workers.dev',
+    'appspot.com', 'blogspot.com', 'web.app', 'firebaseapp.com', 'cloudfront.net', 'azurewebsites.net',
+];
@@ -0,0 +1,48 @@
+import { mkdir, readFile, writeFile, rm } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+import { serializeResponse, deserializeResponse, varyMatches, sameVariant } from './MemoryCacheStorage.js';
+
+export class FileCacheStorage {
+
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    #pathOf(url) {
+        return join(this.dir, `${createHash('sha256').update(url).digest('hex')}.json`);
+    }
+
+    async #read(url) {
+        try {
+            return JSON.parse(await readFile(this.#pathOf(url), 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+    }
+
+    async match(request) {
+        const variants = await this.#read(request.url);
+        const record = variants.find((record) => varyMatches(record, request));
+        if (!record) return;
+        return deserializeResponse({ ...record, body: Buffer.from(record.body, 'base64') });
+    }
+
+    async put(request, response) {
+        const record = serializeResponse(request, response);
+        record.body = Buffer.from(await record.body).toString('base64');
+
+        const variants = (await this.#read(request.url)).filter(($record) => !sameVariant($record, record));
+        await mkdir(this.dir, { recursive: true });
+        await writeFile(this.#pathOf(request.url), JSON.stringify(variants.concat(record)));
+    }
+
+    async delete(request) {
+        await rm(this.#pathOf(request.url), { force: true });
+    }
+
+    async clear() {
+        await rm(this.dir, { recursive: true, force: true });
+    }
+}
@@ -87,9 +87,9 @@ export class HeadersPlus extends Headers {
         if (/^Set-Cookie$/i.test(name) && structured) {
             value = this.getSetCookie()/*IMPORTANT*/.map((str) => {
                 const [cookieDefinition, ...attrs] = str.split(';');
-                const [name, value] = cookieDefinition.split('=').map((s) => s.trim());
+                const [name, value] = splitOnce(cookieDefinition, '=').map((s) => s.trim());
                 const cookieObj = { name, value: /*decodeURIComponent*/(value), };
-                attrs.map((attrStr) => attrStr.trim().split('=')).forEach(attrsArr => {
+                attrs.filter((attrStr) => attrStr.trim()).map((attrStr) => splitOnce(attrStr.trim(), '=')).forEach(attrsArr => {
                     cookieObj[attrsArr[0][0].toLowerCase() + attrsArr[0].substring(1).replace('-', '')] = attrsArr.length === 1 ? true : attrsArr[1];
                 });
                 return cookieObj;
@@ -99,7 +99,7 @@ export class HeadersPlus extends Headers {
         // Parse "Cookie" request header
         if (/^Cookie$/i.test(name) && structured) {
             value = value?.split(';').map((str) => {
-                const [name, value] = str.split('=').map((s) => s.trim());
+                const [name, value] = splitOnce(str, '=').map((s) => s.trim());
                 return { name, value: /*decodeURIComponent*/(value), };
             }) || [];
         }
@@ -207,6 +207,11 @@ export function renderCookieObjToString(cookieObj) {
     return attrsArr.join('; ');
 }
 
+function splitOnce(str, separator) {
+    const i = str.indexOf(separator);
+    return i === -1 ? [str] : [str.substring(0, i), str.substring(i + 1)];
+}
+
 function renderCookieInput(value) {
     if (_isTypeObject(value)) {
         value = [].concat(value).map(renderCookieObjToString).join('; ');
@@ -228,8 +233,8 @@ function renderRangeInput(value) {
 
 function renderContentRangeInput(value) {
     if (Array.isArray(value)) {
-        if (value.length < 2 || !value[0].includes('-')) {
-            throw new Error(`A Content-Range array must be in the format: [ 'start-end', 'total' ]`);
+        if (value.length < 2 || (value[0] !== '*' && !value[0].includes('-'))) {
+            throw new Error(`A Content-Range array must be in the format: [ 'start-end', 'total' ] or [ '*', 'total' ]`);
         }
         value = `bytes ${value.join('/')}`;
     }
@@ -0,0 +1,43 @@
+import { ResponsePlus } from './ResponsePlus.js';
+
+export class HttpError extends Error {
+
+    static async from(response, request = null) {
+        ResponsePlus.upgradeInPlace(response);
+        const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim();
+        let problem = null;
+        if (contentType === 'application/problem+json') {
+            try {
+                problem = await response.any({ to: 'json', memo: true });
+            } catch { }
+        }
+        return new this(response, request, { problem });
+    }
+
+    #body;
+
+    constructor(response, request = null, { problem = null } = {}) {
+        super(problem?.title || `Request failed with status ${response.status}${response.statusText ? ` (${response.statusText})` : ''}`);
+        this.name = 'HttpError';
+        this.status = response.status;
+        this.statusText = response.statusText;
+        this.response = ResponsePlus.upgradeInPlace(response);
+        this.request = request;
+
+        // RFC 9457 problem details
+        this.problem = problem;
+        if (problem) {
+            this.type = problem.type ?? 'about:blank';
+            this.title = problem.title ?? null;
+            this.detail = problem.detail ?? null;
+            this.instance = problem.instance ?? null;
+        }
+    }
+
+    body() {
+        if (!this.#body) {
+            this.#body = this.response.any({ memo: true });
+        }
+        return this.#body;
+    }
+}
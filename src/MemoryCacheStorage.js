@@ -0,0 +1,69 @@
+import { ResponsePlus } from './ResponsePlus.js';
+
+export class MemoryCacheStorage {
+
+    #entries = new Map;
+
+    async match(request) {
+        const variants = this.#entries.get(request.url) || [];
+        const record = variants.find((record) => varyMatches(record, request));
+        if (!record) return;
+        return deserializeResponse({ ...record, body: await record.body });
+    }
+
+    async put(request, response) {
+        // Register synchronously so that lookups made while the body is still streaming find it
+        const record = serializeResponse(request, response);
+        const variants = (this.#entries.get(request.url) || []).filter(($record) => !sameVariant($record, record));
+        this.#entries.set(request.url, variants.concat(record));
+        try {
+            await record.body;
+        } catch (e) {
+            this.#entries.set(request.url, this.#entries.get(request.url).filter(($record) => $record !== record));
+            throw e;
+        }
+    }
+
+    async delete(request) {
+        return this.#entries.delete(request.url);
+    }
+
+    async clear() {
+        this.#entries.clear();
+    }
+}
+
+// ------ Util
+
+export const nullBodyStatuses = [101, 103, 204, 205, 304];
+
+export function serializeResponse(request, response) {
+    const status = Object.getOwnPropertyDescriptor(Response.prototype, 'status').get.call(response);
+    const vary = (response.headers.get('Vary') || '').split(',').map((s) => s.trim().toLowerCase()).filter((s) => s);
+    return {
+        url: request.url,
+        vary: Object.fromEntries(vary.map((name) => [name, request.headers.get(name)])),
+        status,
+        statusText: response.statusText,
+        headers: [...response.headers.entries()],
+        body: response.arrayBuffer(),
+    };
+}
+
+export function deserializeResponse(record) {
+    return new ResponsePlus(nullBodyStatuses.includes(record.status) ? null : record.body, {
+        status: record.status,
+        statusText: record.statusText,
+        headers: record.headers,
+    });
+}
+
+export function varyMatches(record, request) {
+    return Object.entries(record.vary).every(([name, value]) => request.headers.get(name) === value);
+}
+
+export function sameVariant(a, b) {
+    const names = Object.keys(a.vary);
+    return names.length === Object.keys(b.vary).length
+        && names.every((name) => b.vary[name] === a.vary[name]);
+}
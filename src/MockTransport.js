@@ -0,0 +1,151 @@
+import { RequestPlus } from './RequestPlus.js';
+import { ResponsePlus } from './ResponsePlus.js';
+import { LiveResponse } from './LiveResponse.js';
+
+export class MockTransport {
+
+    static fromJSON(json, options = {}) {
+        const { exchanges = [] } = typeof json === 'string' ? JSON.parse(json) : json;
+        return new this({ mode: 'replay', ...options, exchanges });
+    }
+
+    static async load(path, options = {}) {
+        const { readFile } = await import('node:fs/promises');
+        return this.fromJSON(await readFile(path, 'utf8'), options);
+    }
+
+    #routes = [];
+    #exchanges;
+    #replayed = new Set;
+
+    constructor({ mode = 'mock', fetch: originalFetch = globalThis.fetch, exchanges = [], passthrough = false } = {}) {
+        if (!['mock', 'record', 'replay'].includes(mode)) {
+            throw new Error(`Invalid mock transport mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.originalFetch = originalFetch;
+        this.passthrough = passthrough;
+        this.#exchanges = [...exchanges];
+        this.calls = [];
+        this.fetch = this.fetch.bind(this);
+    }
+
+    get exchanges() { return [...this.#exchanges]; }
+
+    route(method, pattern, handler) {
+        this.#routes.push({ method: method.toUpperCase(), matcher: compilePattern(pattern), handler });
+        return this;
+    }
+
+    get(pattern, handler) { return this.route('GET', pattern, handler); }
+    post(pattern, handler) { return this.route('POST', pattern, handler); }
+    put(pattern, handler) { return this.route('PUT', pattern, handler); }
+    patch(pattern, handler) { return this.route('PATCH', pattern, handler); }
+    delete(pattern, handler) { return this.route('DELETE', pattern, handler); }
+    any(pattern, handler) { return this.route('*', pattern, handler); }
+
+    async fetch(input, init = undefined) {
+        const request = input instanceof Request && !init
+            ? RequestPlus.upgradeInPlace(input)
+            : new RequestPlus(input, init);
+        this.calls.push(request);
+
+        // 1. Routes
+        for (const { method, matcher, handler } of this.#routes) {
+            if (method !== '*' && method !== request.method.toUpperCase()) continue;
+            const params = matcher(new URL(request.url));
+            if (!params) continue;
+            const result = typeof handler === 'function' ? await handler(request, params) : handler;
+            if (result instanceof LiveResponse) return result;
+            if (result instanceof Response) return typeof handler === 'function' ? result : result.clone();
+            return ResponsePlus.from(result);
+        }
+
+        // 2. Fixtures
+        if (this.mode === 'replay') {
+            const index = this.#exchanges.findIndex((exchange, i) => !this.#replayed.has(i)
+                && exchange.request.method === request.method.toUpperCase()
+                && exchange.request.url === request.url);
+            if (index !== -1) {
+                this.#replayed.add(index);
+                return deserializeMessage(this.#exchanges[index].response);
+            }
+        }
+
+        // 3. Network
+        if (this.mode === 'record') {
+            const requestRecord = await serializeMessage(request.clone());
+            const response = await this.originalFetch(request);
+            this.#exchanges.push({
+                request: { method: request.method.toUpperCase(), url: request.url, ...requestRecord },
+                response: { status: response.status, statusText: response.statusText, ...await serializeMessage(response.clone(), { decoded: true }) },
+            });
+            return response;
+        }
+        if (this.passthrough) {
+            return await this.originalFetch(request);
+        }
+
+        const error = new Error(`No mock route or fixture matches the request: ${request.method} ${request.url}`);
+        error.request = request;
+        throw error;
+    }
+
+    assertDone() {
+        const pending = this.#exchanges.filter((exchange, i) => this.mode === 'replay' && !this.#replayed.has(i));
+        if (pending.length) {
+            throw new Error(`${pending.length} recorded exchange(s) were not replayed: ${pending.map(({ request }) => `${request.method} ${request.url}`).join(', ')}`);
+        }
+    }
+
+    toJSON() {
+        return { exchanges: this.#exchanges };
+    }
+
+    async save(path) {
+        const { writeFile } = await import('node:fs/promises');
+        await writeFile(path, JSON.stringify(this, null, 2));
+    }
+}
+
+// ------ Util
+
+export function compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+        return (url) => {
+            const match = pattern.exec(url.href);
+            return match && { ...match.groups };
+        };
+    }
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+    }) + '$');
+    return (url) => {
+        const match = regex.exec(pattern.startsWith('/') ? url.pathname : url.origin + url.pathname);
+        return match && Object.fromEntries(keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+    };
+}
+
+async function serializeMessage(message, { decoded = false } = {}) {
+    // Bodies read via fetch() are already decoded
+    const headers = [...message.headers.entries()].filter(([name]) => !decoded || !['content-encoding', 'content-length'].includes(name));
+    if (message.body === null) return { headers, body: null };
+
+    const bytes = new Uint8Array(await message.arrayBuffer());
+    // Valid UTF-8 is stored as is, anything else base64-encoded
+    try {
+        return { headers, body: new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes) };
+    } catch (e) { }
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return { headers, body: btoa(binary), bodyEncoding: 'base64' };
+}
+
+function deserializeMessage({ status, statusText, headers, body, bodyEncoding }) {
+    if (body !== null && bodyEncoding === 'base64') {
+        body = Uint8Array.from(atob(body), (c) => c.charCodeAt(0));
+    }
+    return new ResponsePlus(body, { status, statusText, headers });
+}
@@ -1,5 +1,9 @@
-import { messageParserMixin, _meta, _wq } from './messageParserMixin.js';
+import { messageParserMixin, isTypeStream, _meta, _wq } from './messageParserMixin.js';
 import { HeadersPlus } from './HeadersPlus.js';
+import { signMessage, verifyMessage } from './messageSignatures.js';
+import { addDigest } from './contentDigest.js';
+import { evaluatePreconditions } from './preconditions.js';
+import { negotiate } from './negotiation.js';
 
 export class RequestPlus extends messageParserMixin(Request) {
 
@@ -15,13 +19,16 @@ export class RequestPlus extends messageParserMixin(Request) {
         return request;
     }
 
-    static from(url, { memoize = false, ...init } = {}) {
+    static from(url, { memoize = false, compress = null, ...init } = {}) {
         if (url instanceof Request) return url;
 
         let $type, $$body = init.body;
         if ('body' in init) {
-            const { body, headers, $type: $$type } = super.from(init);
+            const { body, headers, $type: $$type } = super.from({ ...init, compress });
             init = { ...init, body, headers };
+            if (isTypeStream(body)) {
+                init.duplex ??= 'half';
+            }
             $type = $$type;
         }
 
@@ -67,6 +74,26 @@ export class RequestPlus extends messageParserMixin(Request) {
         return { url: init.url || request.url, ...requestInit };
     }
 
+    evaluatePreconditions(validators = {}) {
+        return evaluatePreconditions(this, validators);
+    }
+
+    negotiate(offers = {}) {
+        return negotiate(this, offers);
+    }
+
+    async addDigest(options = 'sha-256') {
+        return addDigest(this, options);
+    }
+
+    async sign(options) {
+        return signMessage(this, options);
+    }
+
+    async verifySignature(options = {}) {
+        return verifyMessage(this, options);
+    }
+
     clone() {
         const clone = super.clone();
         RequestPlus.upgradeInPlace(clone);
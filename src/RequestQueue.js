@@ -0,0 +1,147 @@
+import { parseRetryAfter } from './retryMiddleware.js';
+
+export const priorities = { high: 1, auto: 0, low: -1 };
+
+export class RequestQueue {
+
+    #active = 0;
+    #activePerOrigin = new Map;
+    #pending = [];
+    #buckets = new Map;
+    #pausedUntil = new Map;
+    #timer = null;
+
+    constructor({ concurrency = Infinity, perOrigin = Infinity, rateLimit = null, adaptive = true } = {}) {
+        this.concurrency = concurrency;
+        this.perOrigin = perOrigin;
+        this.rateLimit = rateLimit && { interval: 1000, ...rateLimit };
+        this.adaptive = adaptive;
+    }
+
+    get size() { return this.#pending.length; }
+
+    get active() { return this.#active; }
+
+    acquire(url, { priority = 0, signal = null } = {}) {
+        const origin = new URL(url).origin;
+        const $priority = typeof priority === 'string' ? (priorities[priority] ?? 0) : priority;
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+            const entry = { origin, priority: $priority, resolve, reject };
+            const onabort = () => {
+                this.#pending = this.#pending.filter((e) => e !== entry);
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onabort, { once: true });
+            entry.cleanup = () => signal?.removeEventListener('abort', onabort);
+
+            // Higher priorities first, then first come, first served
+            const index = this.#pending.findIndex((e) => e.priority < entry.priority);
+            this.#pending.splice(index === -1 ? this.#pending.length : index, 0, entry);
+            this.#drain();
+        });
+    }
+
+    async run(url, task, options = {}) {
+        const release = await this.acquire(url, options);
+        try {
+            return await task();
+        } finally {
+            release();
+        }
+    }
+
+    observe(url, response) {
+        if (!this.adaptive) return;
+        const origin = new URL(url).origin;
+
+        let wait = null;
+        if ([429, 503].includes(response.status)) {
+            wait = parseRetryAfter(response.headers.get('Retry-After'));
+        }
+        const { remaining, reset } = parseRateLimit(response.headers);
+        if (remaining === 0 && reset !== null) {
+            wait = Math.max(wait ?? 0, reset * 1000);
+        }
+        if (wait === null && response.status === 429 && this.rateLimit) {
+            // Throttled without instructions: drain the origin's bucket
+            this.#bucket(origin).tokens = 0;
+        }
+        if (wait) {
+            this.#pausedUntil.set(origin, Math.max(this.#pausedUntil.get(origin) || 0, Date.now() + wait));
+        }
+        this.#drain();
+    }
+
+    #bucket(origin) {
+        if (!this.#buckets.has(origin)) {
+            this.#buckets.set(origin, { tokens: this.rateLimit.limit, updated: Date.now() });
+        }
+        const bucket = this.#buckets.get(origin);
+        const now = Date.now();
+        bucket.tokens = Math.min(this.rateLimit.limit, bucket.tokens + (now - bucket.updated) * this.rateLimit.limit / this.rateLimit.interval);
+        bucket.updated = now;
+        return bucket;
+    }
+
+    #drain() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+
+        let wakeAt = Infinity;
+        for (const entry of [...this.#pending]) {
+            if (this.#active >= this.concurrency) break;
+            if ((this.#activePerOrigin.get(entry.origin) || 0) >= this.perOrigin) continue;
+
+            const pausedUntil = this.#pausedUntil.get(entry.origin) || 0;
+            if (pausedUntil > Date.now()) {
+                wakeAt = Math.min(wakeAt, pausedUntil);
+                continue;
+            }
+            if (this.rateLimit) {
+                const bucket = this.#bucket(entry.origin);
+                if (bucket.tokens < 1) {
+                    wakeAt = Math.min(wakeAt, Date.now() + (1 - bucket.tokens) * this.rateLimit.interval / this.rateLimit.limit);
+                    continue;
+                }
+                bucket.tokens -= 1;
+            }
+
+            this.#pending = this.#pending.filter((e) => e !== entry);
+            this.#start(entry);
+        }
+
+        if (wakeAt !== Infinity && this.#pending.length) {
+            this.#timer = setTimeout(() => this.#drain(), Math.max(0, wakeAt - Date.now()));
+        }
+    }
+
+    #start(entry) {
+        this.#active++;
+        this.#activePerOrigin.set(entry.origin, (this.#activePerOrigin.get(entry.origin) || 0) + 1);
+        entry.cleanup();
+
+        let released = false;
+        entry.resolve(() => {
+            if (released) return;
+            released = true;
+            this.#active--;
+            const count = this.#activePerOrigin.get(entry.origin) - 1;
+            if (count) this.#activePerOrigin.set(entry.origin, count);
+            else this.#activePerOrigin.delete(entry.origin);
+            this.#drain();
+        });
+    }
+}
+
+// ------ Util
+
+export function parseRateLimit(headers) {
+    // The structured "RateLimit: limit=10, remaining=0, reset=5" (or "r=0;t=5") form, or separate RateLimit-* headers
+    const combined = Object.fromEntries((headers.get('RateLimit') || '').split(/[,;]/).map((s) => s.trim().split('=')).filter(([k, v]) => k && v));
+    const value = (name, alias) => {
+        const $value = parseInt(combined[name] ?? combined[alias] ?? headers.get(`RateLimit-${name}`), 10);
+        return Number.isNaN($value) ? null : $value;
+    };
+    return { limit: value('limit'), remaining: value('remaining', 'r'), reset: value('reset', 't') };
+}
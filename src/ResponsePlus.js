@@ -1,5 +1,10 @@
 import { messageParserMixin, _meta, _wq } from './messageParserMixin.js';
 import { HeadersPlus } from './HeadersPlus.js';
+import { signMessage, verifyMessage } from './messageSignatures.js';
+import { addDigest } from './contentDigest.js';
+import { parseEventStream } from './eventStream.js';
+import { resolveRanges, multipartByteRanges, parseByteRanges } from './byteRanges.js';
+import { notModifiedHeaders } from './preconditions.js';
 
 export class ResponsePlus extends messageParserMixin(Response) {
 
@@ -15,13 +20,13 @@ export class ResponsePlus extends messageParserMixin(Response) {
         return response;
     }
 
-    static from(body, { memoize = false, ...init } = {}) {
+    static from(body, { memoize = false, compress = null, ...init } = {}) {
         if (body instanceof Response) return body;
 
         let $type;
         if (typeof body !== 'undefined') {
             let headers;
-            ({ body, headers, $type } = super.from({ body, headers: init.headers }));
+            ({ body, headers, $type } = super.from({ body, headers: init.headers, compress }));
             init = { ...init, headers };
         }
 
@@ -36,10 +41,75 @@ export class ResponsePlus extends messageParserMixin(Response) {
         return instance;
     }
 
+    static fromRange(request, body, { maxRanges = 16, ...init } = {}) {
+        const blob = body instanceof Blob ? body : new Blob([body]);
+        const headers = new HeadersPlus(init.headers);
+        const type = headers.get('Content-Type') || blob.type || 'application/octet-stream';
+        headers.set('Accept-Ranges', 'bytes');
+
+        const ranges = resolveRanges(request, blob.size, headers, { maxRanges });
+        if (!ranges) {
+            headers.set('Content-Type', type);
+            headers.set('Content-Length', blob.size);
+            return new this(blob, { ...init, status: 200, headers });
+        }
+        if (!ranges.length) {
+            headers.delete('Content-Type');
+            headers.set('Content-Range', ['*', blob.size]);
+            return new this(null, { ...init, status: 416, headers });
+        }
+
+        let $body;
+        if (ranges.length === 1) {
+            const [[start, end]] = ranges;
+            $body = blob.slice(start, end + 1);
+            headers.set('Content-Type', type);
+            headers.set('Content-Range', [`${start}-${end}`, blob.size]);
+        } else {
+            const boundary = crypto.randomUUID().replace(/-/g, '');
+            $body = multipartByteRanges(blob, ranges, { type, boundary });
+            headers.set('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+        }
+        headers.set('Content-Length', $body.size);
+        return new this($body, { ...init, status: 206, headers });
+    }
+
+    static notModified(source = {}) {
+        const headers = notModifiedHeaders(source instanceof Response ? { headers: source.headers } : source);
+        return new this(null, { status: 304, headers });
+    }
+
     get status() {
         return this.headers.has('X-Redirect-Code') ? 200 : super.status;
     }
 
+    get softRedirect() {
+        if (!this.headers.has('X-Redirect-Code')) return null;
+        const code = parseInt(this.headers.get('X-Redirect-Code'), 10);
+        const location = this.headers.get('Location');
+        return { code, location: location && this.url ? new URL(location, this.url).href : location };
+    }
+
+    byteRanges() {
+        return parseByteRanges(this);
+    }
+
+    async *events() {
+        if (this.body) yield* parseEventStream(this.body);
+    }
+
+    async addDigest(options = 'sha-256') {
+        return addDigest(this, options);
+    }
+
+    async sign(options) {
+        return signMessage(this, options);
+    }
+
+    async verifySignature(options = {}) {
+        return verifyMessage(this, options);
+    }
+
     clone() {
         const clone = super.clone();
         ResponsePlus.upgradeInPlace(clone);
@@ -54,4 +124,18 @@ export class ResponsePlus extends messageParserMixin(Response) {
     }
 }
 
+// ------ Util
 
+export function withBody(response, body) {
+    const status = Object.getOwnPropertyDescriptor(Response.prototype, 'status').get.call(response);
+    const instance = new ResponsePlus(body, {
+        status,
+        statusText: response.statusText,
+        headers: response.headers,
+    });
+    for (const prop of ['url', 'redirected', 'type']) {
+        Object.defineProperty(instance, prop, { value: response[prop], configurable: true });
+    }
+    _wq(instance).set('meta', new Map(_meta(response)));
+    return instance;
+}
@@ -0,0 +1,9 @@
+export class TimeoutError extends Error {
+
+    constructor(phase, timeout) {
+        super(`Request timed out in the "${phase}" phase after ${timeout}ms`);
+        this.name = 'TimeoutError';
+        this.phase = phase;
+        this.timeout = timeout;
+    }
+}
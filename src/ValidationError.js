@@ -0,0 +1,18 @@
+export class ValidationError extends Error {
+
+    constructor(issues, { value } = {}) {
+        const [first] = issues;
+        super(`Validation failed at ${toPointer(first.path)}: ${first.message}${issues.length > 1 ? ` (and ${issues.length - 1} more issue${issues.length > 2 ? 's' : ''})` : ''}`);
+        this.name = 'ValidationError';
+        this.issues = issues;
+        this.path = first.path;
+        this.value = value;
+    }
+}
+
+// ------ Util
+
+export function toPointer(path) {
+    // RFC 6901 JSON Pointer
+    return '/' + path.map((key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+}
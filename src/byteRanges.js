@@ -0,0 +1,130 @@
+import { HeadersPlus } from './HeadersPlus.js';
+import { matchesIfRange } from './preconditions.js';
+
+export function resolveRanges(request, total, validators = new Headers, { maxRanges = 16 } = {}) {
+    // Range only applies to GET (RFC 9110 §14.2)
+    const headers = new HeadersPlus(request.headers);
+    const value = headers.get('Range');
+    if (request.method.toUpperCase() !== 'GET' || !value) return null;
+    if (!/^\s*bytes\s*=/i.test(value)) return null;
+
+    // A stale If-Range gets the full representation
+    if (!matchesIfRange(request, { etag: validators.get('ETag'), lastModified: validators.get('Last-Modified') })) return null;
+
+    const ranges = headers.get('Range', true)
+        .filter((range) => range.canResolveAgainst(0, total))
+        .map((range) => range.resolveAgainst(total));
+
+    // Overlapping and adjacent ranges are merged, so that no byte is sent twice (RFC 9110 §14.2);
+    // too many ranges are ignored altogether, for the full representation
+    const merged = ranges.sort((a, b) => a[0] - b[0]).reduce((merged, [start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1] + 1) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+        return merged;
+    }, []);
+    return merged.length > maxRanges ? null : merged;
+}
+
+export function multipartByteRanges(blob, ranges, { type, boundary }) {
+    const parts = [];
+    for (const [start, end] of ranges) {
+        parts.push(`--${boundary}\r\n`);
+        if (type) parts.push(`Content-Type: ${type}\r\n`);
+        parts.push(`Content-Range: bytes ${start}-${end}/${blob.size}\r\n\r\n`, blob.slice(start, end + 1), '\r\n');
+    }
+    parts.push(`--${boundary}--\r\n`);
+    return new Blob(parts);
+}
+
+export async function* parseByteRanges(response) {
+    const headers = new HeadersPlus(response.headers);
+    const [mime, ...params] = (headers.get('Content-Type') || '').split(';').map((s) => s.trim());
+
+    if (response.status === 200) {
+        const blob = await response.blob();
+        yield { range: [0, blob.size - 1], total: blob.size, blob };
+        return;
+    }
+    if (response.status !== 206) {
+        throw new Error(`Expected a 206 or 200 response; got ${response.status}`);
+    }
+    if (mime.toLowerCase() !== 'multipart/byteranges') {
+        const blob = await response.blob();
+        yield { ...parseContentRange(headers), blob };
+        return;
+    }
+
+    const boundary = params.find((p) => /^boundary=/i.test(p))?.slice(9).replace(/^"(.*)"$/, '$1');
+    if (!boundary) throw new Error(`The multipart/byteranges response has no boundary`);
+
+    const reader = response.body.getReader();
+    const encoder = new TextEncoder(), decoder = new TextDecoder();
+    const delimiter = encoder.encode(`--${boundary}`);
+    let buffer = new Uint8Array(0);
+
+    const fill = async () => {
+        const { done, value } = await reader.read();
+        if (done) throw new Error(`Unexpected end of the multipart/byteranges body`);
+        const $buffer = new Uint8Array(buffer.length + value.length);
+        $buffer.set(buffer);
+        $buffer.set(value, buffer.length);
+        buffer = $buffer;
+    };
+    const readUntil = async (sequence) => {
+        for (let i; ; await fill()) {
+            if ((i = indexOf(buffer, sequence)) === -1) continue;
+            const result = buffer.subarray(0, i);
+            buffer = buffer.subarray(i + sequence.length);
+            return result;
+        }
+    };
+    const readBytes = async (length) => {
+        while (buffer.length < length) await fill();
+        const result = buffer.subarray(0, length);
+        buffer = buffer.subarray(length);
+        return result;
+    };
+
+    try {
+        await readUntil(delimiter); // The preamble
+        for (; ;) {
+            while (buffer.length < 2) await fill();
+            if (buffer[0] === 0x2d && buffer[1] === 0x2d) break; // The close delimiter
+            await readUntil(encoder.encode('\r\n'));
+
+            const partHeaders = new HeadersPlus;
+            for (const line of decoder.decode(await readUntil(encoder.encode('\r\n\r\n'))).split('\r\n')) {
+                const colon = line.indexOf(':');
+                if (colon > 0) partHeaders.append(line.slice(0, colon).trim(), line.slice(colon + 1).trim());
+            }
+            const { range, total } = parseContentRange(partHeaders);
+            const bytes = await readBytes(range[1] - range[0] + 1);
+            yield { range, total, blob: new Blob([bytes], { type: partHeaders.get('Content-Type') || '' }) };
+            await readUntil(delimiter);
+        }
+    } finally {
+        await reader.cancel().catch(() => { });
+    }
+}
+
+// ------ Util
+
+function parseContentRange(headers) {
+    const [range = '', total] = headers.get('Content-Range', true) || [];
+    const [start, end] = range.split('-').map((n) => parseInt(n, 10));
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+        throw new Error(`Invalid Content-Range: ${headers.get('Content-Range')}`);
+    }
+    return { range: [start, end], total: total === '*' ? null : parseInt(total, 10) };
+}
+
+function indexOf(bytes, sequence) {
+    outer: for (let i = 0; i <= bytes.length - sequence.length; i++) {
+        for (let j = 0; j < sequence.length; j++) {
+            if (bytes[i + j] !== sequence[j]) continue outer;
+        }
+        return i;
+    }
+    return -1;
+}
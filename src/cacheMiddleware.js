@@ -0,0 +1,184 @@
+import { RequestPlus } from './RequestPlus.js';
+import { ResponsePlus, withBody } from './ResponsePlus.js';
+import { MemoryCacheStorage } from './MemoryCacheStorage.js';
+import { credentialHeaders } from './dedupeMiddleware.js';
+
+export const responseTimeHeader = 'X-Cache-Response-Time';
+export const heuristicallyCacheableStatuses = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+
+export function cacheMiddleware({ storage = new MemoryCacheStorage, shared = false } = {}) {
+
+    const store = (request, response) => {
+        if (isStorable(request, response, { shared })) {
+            const stored = withBody(response, response.clone().body);
+            stored.headers.set(responseTimeHeader, Date.now());
+            Promise.resolve(storage.put(request, stored)).catch(() => { });
+        }
+        return response;
+    };
+
+    const serve = (stored, age) => {
+        const response = withBody(stored, stored.body);
+        response.headers.delete(responseTimeHeader);
+        response.headers.set('Age', Math.floor(age / 1000));
+        return response;
+    };
+
+    const revalidate = async (request, stored, next) => {
+        const conditional = new RequestPlus(request);
+        if (stored.headers.has('ETag')) {
+            conditional.headers.set('If-None-Match', stored.headers.get('ETag'));
+        }
+        if (stored.headers.has('Last-Modified')) {
+            conditional.headers.set('If-Modified-Since', stored.headers.get('Last-Modified'));
+        }
+
+        const response = await next(conditional);
+        if (response.status !== 304) {
+            return store(request, response);
+        }
+
+        // Freshen the stored response with the validation response's headers
+        const updated = withBody(stored, stored.body);
+        for (const [name, value] of response.headers.entries()) {
+            if (['content-length', 'content-encoding', 'transfer-encoding'].includes(name)) continue;
+            updated.headers.set(name, value);
+        }
+        updated.headers.set(responseTimeHeader, Date.now());
+        updated.headers.delete('Age');
+        await storage.put(request, updated.clone());
+        return serve(updated, currentAge(updated.headers));
+    };
+
+    return async (request, next) => {
+        const method = request.method.toUpperCase();
+
+        // Unsafe methods invalidate stored responses
+        if (!['GET', 'HEAD', 'OPTIONS', 'TRACE'].includes(method)) {
+            const response = await next();
+            if (response.status < 400) {
+                const targets = [request.url, ...['Location', 'Content-Location'].map((name) => response.headers.get(name))];
+                for (const target of targets.filter((s) => s)) {
+                    const url = new URL(target, request.url);
+                    if (url.origin !== new URL(request.url).origin) continue;
+                    await storage.delete(new Request(url));
+                }
+            }
+            return response;
+        }
+
+        const requestCacheControl = parseCacheControl(request.headers.get('Cache-Control'));
+        if (method !== 'GET'
+            || request.cache === 'no-store' || requestCacheControl['no-store']
+            || ['Range', 'If-None-Match', 'If-Modified-Since', 'If-Match', 'If-Unmodified-Since', 'If-Range', 'X-Accept-Live'].some((name) => request.headers.has(name))) {
+            return next();
+        }
+
+        let stored = request.cache === 'reload' ? null : await storage.match(request);
+        // Requests with credentials are only served responses that are explicitly shareable
+        if (stored && hasCredentials(request) && !isShareable(stored, { shared })) {
+            stored = null;
+        }
+        const onlyIfCached = request.cache === 'only-if-cached' || requestCacheControl['only-if-cached'];
+        if (!stored) {
+            if (onlyIfCached) {
+                return new ResponsePlus(null, { status: 504, statusText: 'Gateway Timeout' });
+            }
+            return store(request, await next());
+        }
+
+        const age = currentAge(stored.headers);
+        const lifetime = freshnessLifetime(stored.headers, { shared });
+        const cacheControl = parseCacheControl(stored.headers.get('Cache-Control'));
+        const maxAge = 'max-age' in requestCacheControl ? requestCacheControl['max-age'] * 1000 : Infinity;
+        const mustValidate = cacheControl['no-cache'] || requestCacheControl['no-cache'] || request.cache === 'no-cache';
+
+        if (onlyIfCached || request.cache === 'force-cache'
+            || (!mustValidate && age < lifetime && age <= maxAge)) {
+            return serve(stored, age);
+        }
+
+        if (!mustValidate && !cacheControl['must-revalidate']
+            && typeof cacheControl['stale-while-revalidate'] === 'number'
+            && age - lifetime <= cacheControl['stale-while-revalidate'] * 1000) {
+            revalidate(request, stored.clone(), next).catch(() => { });
+            return serve(stored, age);
+        }
+
+        return revalidate(request, stored, next);
+    };
+}
+
+// ------ Util
+
+export function parseCacheControl(value) {
+    return (value || '').split(',').reduce((directives, directive) => {
+        const [name, arg] = directive.split('=').map((s) => s.trim());
+        if (!name) return directives;
+        const $arg = arg?.replace(/^"|"$/g, '');
+        directives[name.toLowerCase()] = $arg === undefined ? true : (/^\d+$/.test($arg) ? parseInt($arg, 10) : $arg);
+        return directives;
+    }, {});
+}
+
+export function freshnessLifetime(headers, { shared = false } = {}) {
+    const cacheControl = parseCacheControl(headers.get('Cache-Control'));
+    if (shared && typeof cacheControl['s-maxage'] === 'number') {
+        return cacheControl['s-maxage'] * 1000;
+    }
+    if (typeof cacheControl['max-age'] === 'number') {
+        return cacheControl['max-age'] * 1000;
+    }
+
+    const date = Date.parse(headers.get('Date')) || parseInt(headers.get(responseTimeHeader), 10);
+    if (headers.has('Expires')) {
+        const expires = Date.parse(headers.get('Expires'));
+        return Number.isNaN(expires) ? 0 : Math.max(0, expires - date);
+    }
+
+    // Heuristic freshness: 10% of the time since last modification
+    const lastModified = Date.parse(headers.get('Last-Modified'));
+    if (!Number.isNaN(lastModified)) {
+        return Math.max(0, (date - lastModified) / 10);
+    }
+
+    return 0;
+}
+
+export function currentAge(headers, now = Date.now()) {
+    const responseTime = parseInt(headers.get(responseTimeHeader), 10) || now;
+    const date = Date.parse(headers.get('Date')) || responseTime;
+    const ageValue = (parseInt(headers.get('Age'), 10) || 0) * 1000;
+
+    const apparentAge = Math.max(0, responseTime - date);
+    const correctedInitialAge = Math.max(apparentAge, ageValue);
+    return correctedInitialAge + (now - responseTime);
+}
+
+export function isStorable(request, response, { shared = false } = {}) {
+    if (request.method.toUpperCase() !== 'GET') return false;
+
+    const requestCacheControl = parseCacheControl(request.headers.get('Cache-Control'));
+    const cacheControl = parseCacheControl(response.headers.get('Cache-Control'));
+    if (requestCacheControl['no-store'] || cacheControl['no-store']) return false;
+    if (shared && cacheControl['private']) return false;
+    // Responses to requests with credentials may be personal, so they're only stored when explicitly shareable
+    if (hasCredentials(request) && !isShareable(response, { shared })) return false;
+
+    const vary = (response.headers.get('Vary') || '').split(',').map((s) => s.trim());
+    if (vary.includes('*')) return false;
+
+    return ['max-age', 'public', 'no-cache'].some((d) => d in cacheControl)
+        || (shared && 's-maxage' in cacheControl)
+        || response.headers.has('Expires')
+        || heuristicallyCacheableStatuses.includes(response.status);
+}
+
+function hasCredentials(request) {
+    return credentialHeaders.some((name) => request.headers.has(name));
+}
+
+function isShareable(response, { shared = false } = {}) {
+    const cacheControl = parseCacheControl(response.headers.get('Cache-Control'));
+    return ['public', 's-maxage', ...(shared ? ['must-revalidate'] : [])].some((d) => d in cacheControl);
+}
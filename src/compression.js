@@ -0,0 +1,53 @@
+export const contentEncodings = { 'gzip': 'gzip', 'x-gzip': 'gzip', 'deflate': 'deflate', 'br': 'br' };
+
+export function compressStream(stream, encoding) {
+    return stream.pipeThrough(codecStream(encoding, 'compress'));
+}
+
+export function decompressStream(stream, encoding) {
+    return stream.pipeThrough(codecStream(encoding, 'decompress'));
+}
+
+// ------ Util
+
+function codecStream(encoding, mode) {
+    const format = contentEncodings[encoding?.toLowerCase()];
+    if (!format) throw new Error(`Unsupported content encoding: ${encoding}`);
+
+    const NativeStream = mode === 'compress' ? globalThis.CompressionStream : globalThis.DecompressionStream;
+    try {
+        if (NativeStream) return new NativeStream(format);
+    } catch (e) { /* Format not supported natively; e.g. "br" */ }
+    return zlibStream(format, mode);
+}
+
+function zlibStream(format, mode) {
+    const factories = {
+        gzip: ['createGzip', 'createGunzip'],
+        deflate: ['createDeflate', 'createInflate'],
+        br: ['createBrotliCompress', 'createBrotliDecompress'],
+    };
+    let engine;
+    return new TransformStream({
+        async start(controller) {
+            // A non-literal specifier keeps bundlers from resolving node:zlib for browsers
+            const specifier = 'node:zlib';
+            const zlib = await import(specifier).catch(() => {
+                throw new Error(`The "${format}" encoding is not supported in this runtime`);
+            });
+            engine = zlib[factories[format][mode === 'compress' ? 0 : 1]]();
+            engine.on('data', (chunk) => controller.enqueue(new Uint8Array(chunk)));
+            engine.on('error', (e) => controller.error(e));
+        },
+        transform(chunk) {
+            return new Promise((resolve, reject) => engine.write(chunk, (e) => e ? reject(e) : resolve()));
+        },
+        flush() {
+            return new Promise((resolve, reject) => {
+                engine.once('end', resolve);
+                engine.once('error', reject);
+                engine.end();
+            });
+        },
+    });
+}
@@ -0,0 +1,54 @@
+import { parseDictionary, toBase64 } from './messageSignatures.js';
+
+export const digestAlgorithms = { 'sha-256': 'SHA-256', 'sha-512': 'SHA-512' };
+
+export async function addDigest(message, options) {
+    const { algorithms = ['sha-256'], header = 'Content-Digest' } = typeof options === 'string' || Array.isArray(options)
+        ? { algorithms: [].concat(options) }
+        : (options === true ? {} : options);
+    const bytes = message.body === null ? new Uint8Array : new Uint8Array(await message.clone().arrayBuffer());
+    message.headers.set(header, await createDigest(bytes, algorithms));
+    return message;
+}
+
+export async function createDigest(bytes, algorithms = ['sha-256']) {
+    const entries = [];
+    for (const algorithm of [].concat(algorithms)) {
+        if (!digestAlgorithms[algorithm]) throw new Error(`Unsupported digest algorithm: ${algorithm}`);
+        const digest = await crypto.subtle.digest(digestAlgorithms[algorithm], bytes);
+        entries.push(`${algorithm}=:${toBase64(new Uint8Array(digest))}:`);
+    }
+    return entries.join(', ');
+}
+
+export async function verifyDigest(message, bytes, { encoded = false } = {}) {
+    const fail = (reason) => {
+        throw new Error(`Digest verification failed: ${reason}`);
+    };
+
+    // Digests cover the encoded bytes, which fetch() doesn't expose once decoded
+    const encoding = message.headers.get('Content-Encoding');
+    if (!encoded && encoding && encoding !== 'identity') {
+        fail(`the body is content-encoded (${encoding})`);
+    }
+    // Partial content doesn't have the digest of the full representation
+    const fields = (message.status === 206 ? ['Content-Digest'] : ['Content-Digest', 'Repr-Digest'])
+        .filter((name) => message.headers.has(name));
+    if (!fields.length) {
+        fail('the message carries no digest');
+    }
+
+    for (const field of fields) {
+        const digests = [...parseDictionary(message.headers.get(field))].filter(([algorithm]) => digestAlgorithms[algorithm]);
+        if (!digests.length) {
+            fail(`${field} uses no supported algorithm`);
+        }
+        for (const [algorithm, { value }] of digests) {
+            const expected = await createDigest(bytes, [algorithm]);
+            if (expected !== `${algorithm}=:${value?.bytes}:`) {
+                fail(`${field} does not match the body (${algorithm})`);
+            }
+        }
+    }
+    return true;
+}
@@ -0,0 +1,48 @@
+import { RequestPlus } from './RequestPlus.js';
+import { rewriteRequestInit } from './redirectMiddleware.js';
+
+export function cookieMiddleware(jar, { site = null, limit = 20 } = {}) {
+    return async (request, next) => {
+        const exchange = async (request) => {
+            jar.attach(request, { site });
+            const response = await next(request);
+            jar.ingest(response, response.url || request.url);
+            return response;
+        };
+        if (request.redirect !== 'follow' || !supportsManualRedirects()) return exchange(request);
+
+        // Redirects that fetch() follows take their Set-Cookie headers with them, so they're followed here
+        let { url, ...requestInit } = await RequestPlus.copy(request, { redirect: 'manual' });
+        let response = await exchange(new RequestPlus(url, { ...requestInit, signal: request.signal }));
+        if (response.type === 'opaqueredirect') {
+            // The request has been handled already, so it isn't sent again
+            return response;
+        }
+
+        for (let hops = 0; [301, 302, 303, 307, 308].includes(response.status) && response.headers.has('Location'); hops++) {
+            const redirect = { code: response.status, location: new URL(response.headers.get('Location'), url).href };
+            if (hops >= limit) {
+                throw Object.assign(new Error(`Maximum number of redirects (${limit}) exceeded at ${redirect.location}`), { response });
+            }
+
+            requestInit = rewriteRequestInit(requestInit, redirect, url);
+            url = redirect.location;
+
+            await response.body?.cancel().catch(() => { });
+            response = await exchange(new RequestPlus(url, { ...requestInit, signal: request.signal }));
+            if (!response.redirected) {
+                Object.defineProperty(response, 'redirected', { value: true, configurable: true });
+            }
+        }
+
+        return response;
+    };
+}
+
+// ------ Util
+
+let manualRedirects;
+export function supportsManualRedirects() {
+    // Browsers hide both redirects (as "opaqueredirect" responses) and Set-Cookie headers from scripts
+    return manualRedirects ??= new Response(null, { headers: { 'Set-Cookie': 'a=b' } }).headers.has('Set-Cookie');
+}
@@ -0,0 +1,70 @@
+import { LiveResponse } from './LiveResponse.js';
+
+export function dedupeMiddleware({ registry = new Map, methods = ['GET', 'HEAD'] } = {}) {
+    return async (request, next) => {
+        if (!methods.includes(request.method.toUpperCase())
+            || request.headers.has('X-Accept-Live')) {
+            return next();
+        }
+
+        // Requests with different credentials never share a response
+        const credentials = credentialHeaders.map((name) => request.headers.get(name));
+        const key = JSON.stringify([request.method.toUpperCase(), request.url, ...credentials]);
+
+        // Join an identical in-flight request
+        if (registry.has(key)) {
+            const { waiters } = registry.get(key);
+            const shared = await new Promise((resolve, reject) => {
+                if (request.signal.aborted) return reject(request.signal.reason);
+                // Aborted waiters leave the queue, and settled ones stop listening
+                const onabort = () => {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    reject(request.signal.reason);
+                };
+                const settle = (callback) => (value) => {
+                    request.signal.removeEventListener('abort', onabort);
+                    callback(value);
+                };
+                const waiter = { request, resolve: settle(resolve), reject: settle(reject) };
+                waiters.push(waiter);
+                request.signal.addEventListener('abort', onabort, { once: true });
+            });
+            if (shared) return shared;
+            return next();
+        }
+
+        const inflight = { waiters: [] };
+        registry.set(key, inflight);
+
+        let response;
+        try {
+            response = await next();
+        } catch (e) {
+            registry.delete(key);
+            for (const { resolve, reject } of inflight.waiters) {
+                // Requests aborted by the original caller shouldn't fail the others
+                if (request.signal.aborted) resolve(null);
+                else reject(e);
+            }
+            throw e;
+        }
+
+        registry.delete(key);
+        for (const { request: $request, resolve } of inflight.waiters) {
+            if ($request.signal.aborted) continue;
+            resolve(canShare(request, $request, response) ? response.clone() : null);
+        }
+        return response;
+    };
+}
+
+// ------ Util
+
+export const credentialHeaders = ['Authorization', 'Proxy-Authorization', 'Cookie'];
+
+export function canShare(request, otherRequest, response) {
+    if (LiveResponse.hasPort(response)) return false;
+    const vary = (response.headers.get('Vary') || '').split(',').map((s) => s.trim()).filter((s) => s);
+    if (vary.includes('*')) return false;
+    return vary.every((name) => request.headers.get(name) === otherRequest.headers.get(name));
+}
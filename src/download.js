@@ -0,0 +1,211 @@
+import { _isObject, _isNumber } from '@webqit/util/js/index.js';
+import { HeadersPlus } from './HeadersPlus.js';
+import { withBody } from './ResponsePlus.js';
+import { sleep } from './retryMiddleware.js';
+
+export async function download(url, { resume = true, segments = 1, ...options } = {}, fetcher) {
+    if (options.live || options.as || options.schema) {
+        throw new Error(`The "live", "as" and "schema" options are not supported for downloads`);
+    }
+    const resumeOptions = _isNumber(resume) ? { limit: resume } : (_isObject(resume) ? resume : { limit: resume ? undefined : 0 });
+    const segmentOptions = _isNumber(segments) ? { count: segments } : (_isObject(segments) ? segments : {});
+    const isRangeRequest = new HeadersPlus(options.headers).has('Range');
+
+    if (segmentOptions.count > 1 && !isRangeRequest) {
+        const response = await segmented(url, options, fetcher, segmentOptions, resumeOptions);
+        if (response) return response;
+    }
+
+    const response = await fetcher(url, options);
+    if (!resume || response.status !== 200 || !response.body || isRangeRequest) return response;
+
+    const validator = validatorOf(response);
+    if (!validator || isEncoded(response)) return response;
+    const total = parseInt(response.headers.get('Content-Length'), 10);
+    return withBody(response, resumable(response.body.getReader(), {
+        url, options, fetcher, validator, total, start: 0, end: Number.isNaN(total) ? null : total - 1, ...resumeOptions
+    }));
+}
+
+async function segmented(url, options, fetcher, { count, minSize = 1048576, bufferSize = 1048576 }, resumeOptions) {
+    const head = await fetcher(url, { ...options, method: 'HEAD' });
+    const total = parseInt(head.headers.get('Content-Length'), 10);
+    const validator = validatorOf(head);
+    if (head.status !== 200 || !/\bbytes\b/i.test(head.headers.get('Accept-Ranges') || '')
+        || Number.isNaN(total) || !validator || isEncoded(head)) {
+        return null;
+    }
+    const $count = Math.min(count, Math.floor(total / minSize));
+    if ($count < 2) return null;
+
+    // Plan the segments as a multi-range "Range" header
+    const size = Math.ceil(total / $count);
+    const plan = new HeadersPlus;
+    plan.set('Range', Array.from({ length: $count }, (_, i) => [i * size, (i + 1) * size - 1]));
+    const ranges = plan.get('Range', true)
+        .filter((range) => range.canResolveAgainst(0, total))
+        .map((range) => range.resolveAgainst(total));
+
+    const fetchSegment = async ([start, end]) => {
+        const headers = new HeadersPlus(options.headers);
+        headers.set('Range', [[start, end]]);
+        headers.set('If-Range', validator);
+        const response = await fetcher(url, { ...options, headers });
+        const error = checkContinuation(response, start, total);
+        if (error) {
+            await response.body?.cancel().catch(() => { });
+            throw error;
+        }
+        return resumable(response.body.getReader(), { url, options, fetcher, validator, total, start, end, ...resumeOptions });
+    };
+    const results = await Promise.allSettled(ranges.map(fetchSegment));
+    const failure = results.find((result) => result.status === 'rejected');
+    if (failure) {
+        await Promise.all(results.map((result) => result.value?.cancel().catch(() => { })));
+        throw failure.reason;
+    }
+
+    // Read all segments concurrently, but emit them in order;
+    // segments that are waiting their turn pause once they've buffered bufferSize bytes
+    const parts = results.map(({ value: stream }) => {
+        const part = { reader: stream.getReader(), chunks: [], buffered: 0, done: false, error: null, wake: null, resume: null };
+        (async () => {
+            try {
+                for (let chunk; !(chunk = await part.reader.read()).done;) {
+                    part.chunks.push(chunk.value);
+                    part.buffered += chunk.value.byteLength;
+                    part.wake?.();
+                    if (part.buffered >= bufferSize) {
+                        await new Promise((resolve) => part.resume = resolve);
+                        part.resume = null;
+                    }
+                }
+                part.done = true;
+            } catch (e) {
+                part.error = e;
+            }
+            part.wake?.();
+        })();
+        return part;
+    });
+    const cancelAll = (reason) => Promise.all(parts.map((part) => (part.resume?.(), part.reader.cancel(reason).catch(() => { }))));
+
+    let current = 0;
+    return withBody(head, new ReadableStream({
+        async pull(controller) {
+            for (; ;) {
+                const failed = parts.find((part) => part.error);
+                if (failed) {
+                    await cancelAll(failed.error);
+                    return controller.error(failed.error);
+                }
+                const part = parts[current];
+                if (part.chunks.length) {
+                    const chunk = part.chunks.shift();
+                    part.buffered -= chunk.byteLength;
+                    if (part.buffered < bufferSize) part.resume?.();
+                    return controller.enqueue(chunk);
+                }
+                if (part.done) {
+                    if (++current === parts.length) return controller.close();
+                    continue;
+                }
+                await new Promise((resolve) => part.wake = resolve);
+                part.wake = null;
+            }
+        },
+        cancel(reason) {
+            return cancelAll(reason);
+        },
+    }));
+}
+
+function resumable(reader, { url, options, fetcher, validator, total, start, end, limit = 5, delay = 300, maxDelay = 30000, onResume = null }) {
+    let offset = start, attempts = 0;
+
+    const reconnect = async (error) => {
+        const wait = Math.min(maxDelay, delay * Math.pow(2, attempts - 1));
+        onResume?.({ attempt: attempts, offset, error, delay: wait });
+        await sleep(wait, options.signal);
+
+        const headers = new HeadersPlus(options.headers);
+        headers.set('Range', [[offset, end]]);
+        headers.set('If-Range', validator);
+        const response = await fetcher(url, { ...options, headers });
+
+        // Responses that can't continue the download end it
+        const $error = checkContinuation(response, offset, total);
+        if ($error) {
+            await response.body?.cancel().catch(() => { });
+            return { error: $error };
+        }
+        return { reader: response.body.getReader() };
+    };
+
+    return new ReadableStream({
+        async pull(controller) {
+            for (; ;) {
+                let error;
+                try {
+                    const { done, value } = await reader.read();
+                    if (!done) {
+                        offset += value.byteLength;
+                        return controller.enqueue(value);
+                    }
+                    if (end === null || offset > end) {
+                        return controller.close();
+                    }
+                    error = new Error(`The download ended prematurely at byte ${offset} of ${total}`);
+                } catch (e) {
+                    error = e;
+                }
+
+                // Reconnect until the attempts run out
+                for (; ;) {
+                    if (options.signal?.aborted || error?.name === 'AbortError' || attempts >= limit) {
+                        return controller.error(error);
+                    }
+                    attempts++;
+                    try {
+                        const result = await reconnect(error);
+                        if (result.error) return controller.error(result.error);
+                        reader = result.reader;
+                        break;
+                    } catch (e) {
+                        error = e;
+                    }
+                }
+            }
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        },
+    });
+}
+
+// ------ Util
+
+function validatorOf(response) {
+    // Only strong validators tie ranges to the same representation
+    const etag = response.headers.get('ETag');
+    return etag && !etag.startsWith('W/') ? etag : response.headers.get('Last-Modified');
+}
+
+function isEncoded(response) {
+    // Decoded bytes don't map to ranges
+    const encoding = response.headers.get('Content-Encoding');
+    return !!encoding && encoding !== 'identity';
+}
+
+function checkContinuation(response, offset, total) {
+    if (response.status !== 206) {
+        return new Error(response.status === 200
+            ? `The resource changed during the download; can't resume`
+            : `Unexpected status ${response.status} while resuming the download`);
+    }
+    const [range = '', length] = response.headers.get('Content-Range', true) || [];
+    const start = parseInt(range.split('-')[0], 10);
+    if (start !== offset || (!Number.isNaN(total) && length !== '*' && parseInt(length, 10) !== total)) {
+        return new Error(`Content-Range "${response.headers.get('Content-Range')}" does not continue the download at byte ${offset}`);
+    }
+}
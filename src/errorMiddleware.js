@@ -0,0 +1,14 @@
+import { HttpError } from './HttpError.js';
+
+export const isErrorStatus = (status) => status >= 400;
+
+export function errorMiddleware(throwOnError = true) {
+    const test = typeof throwOnError === 'function' ? throwOnError : isErrorStatus;
+    return async (request, next) => {
+        const response = await next();
+        if (test(response.status)) {
+            throw await HttpError.from(response, request);
+        }
+        return response;
+    };
+}
@@ -0,0 +1,61 @@
+import { _isObject, _isNumber } from '@webqit/util/js/index.js';
+import { HeadersPlus } from './HeadersPlus.js';
+import { HttpError } from './HttpError.js';
+import { sleep } from './retryMiddleware.js';
+import { parseEventStream } from './eventStream.js';
+
+export async function* eventSource(url, { reconnect = true, ...options } = {}, fetcher) {
+    if (options.live || options.as || options.schema) {
+        throw new Error(`The "live", "as" and "schema" options are not supported for event sources`);
+    }
+    const { limit = Infinity, delay = 3000, onReconnect = null } = _isNumber(reconnect) ? { limit: reconnect } : (_isObject(reconnect) ? reconnect : { limit: reconnect ? Infinity : 0 });
+    const state = { id: '', retry: null };
+
+    for (let attempts = 0; ;) {
+        const headers = new HeadersPlus(options.headers);
+        if (!headers.has('Accept')) headers.set('Accept', 'text/event-stream');
+        if (state.id) headers.set('Last-Event-ID', state.id);
+
+        let response, error = null;
+        try {
+            response = await fetcher(url, { ...options, headers });
+        } catch (e) {
+            if (options.signal?.aborted || e?.name === 'AbortError') throw e;
+            error = e;
+        }
+
+        if (response) {
+            // 204 No Content tells the client to stop reconnecting
+            if (response.status === 204) {
+                await response.body?.cancel().catch(() => { });
+                return;
+            }
+            if (response.status !== 200) {
+                throw await HttpError.from(response);
+            }
+            const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim();
+            if (contentType !== 'text/event-stream') {
+                await response.body?.cancel().catch(() => { });
+                throw new Error(`Expected a text/event-stream response; got "${contentType}"`);
+            }
+
+            attempts = 0;
+            try {
+                if (response.body) yield* parseEventStream(response.body, state);
+            } catch (e) {
+                if (options.signal?.aborted || e?.name === 'AbortError') throw e;
+                error = e;
+            }
+        }
+
+        // Reconnect until the attempts run out
+        if (attempts >= limit) {
+            if (error) throw error;
+            return;
+        }
+        attempts++;
+        const wait = state.retry ?? delay;
+        onReconnect?.({ attempt: attempts, lastEventId: state.id, error, delay: wait });
+        await sleep(wait, options.signal);
+    }
+}
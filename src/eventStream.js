@@ -0,0 +1,46 @@
+export async function* parseEventStream(stream, state = { id: '', retry: null }) {
+    // Per the HTML "event stream" interpretation rules
+    const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '', type = '', data = [];
+
+    const processLine = (line) => {
+        if (line === '') {
+            const event = data.length ? { event: type || 'message', data: data.join('\n'), id: state.id, retry: state.retry } : null;
+            type = '';
+            data = [];
+            return event;
+        }
+        if (line.startsWith(':')) return null;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'event') type = value;
+        else if (field === 'data') data.push(value);
+        else if (field === 'id' && !value.includes('\0')) state.id = value;
+        else if (field === 'retry' && /^\d+$/.test(value)) state.retry = parseInt(value, 10);
+        return null;
+    };
+
+    try {
+        for (; ;) {
+            const { done, value } = await reader.read();
+            // An unterminated event at the end of the stream is discarded
+            if (done) break;
+            buffer += value;
+
+            const terminators = /\r\n|\r|\n/g;
+            let start = 0, match;
+            while ((match = terminators.exec(buffer))) {
+                // A trailing "\r" may be the first half of a "\r\n" split across chunks
+                if (match[0] === '\r' && terminators.lastIndex === buffer.length) break;
+                const event = processLine(buffer.slice(start, match.index));
+                start = terminators.lastIndex;
+                if (event) yield event;
+            }
+            buffer = buffer.slice(start);
+        }
+    } finally {
+        await reader.cancel().catch(() => { });
+    }
+}
@@ -1,19 +1,258 @@
+import { URLSearchParamsPlus } from '@webqit/url-plus';
+import { _isTypeObject } from '@webqit/util/js/index.js';
+import { RequestPlus } from './RequestPlus.js';
+import { dataType, isTypeStream, isAsyncIterable, isGenerator } from './messageParserMixin.js';
+import { HeadersPlus } from './HeadersPlus.js';
 import { ResponsePlus } from './ResponsePlus.js';
 import { LiveResponse } from './LiveResponse.js';
+import { retryMiddleware } from './retryMiddleware.js';
+import { timeoutMiddleware } from './timeoutMiddleware.js';
+import { TimeoutError } from './TimeoutError.js';
+import { dedupeMiddleware } from './dedupeMiddleware.js';
+import { cacheMiddleware } from './cacheMiddleware.js';
+import { MemoryCacheStorage } from './MemoryCacheStorage.js';
+import { progressMiddleware, bodyLength } from './progressMiddleware.js';
+import { errorMiddleware } from './errorMiddleware.js';
+import { cookieMiddleware } from './cookieMiddleware.js';
+import { redirectMiddleware } from './redirectMiddleware.js';
+import { download } from './download.js';
+import { eventSource } from './eventSource.js';
+import { RequestQueue } from './RequestQueue.js';
+import { queueMiddleware } from './queueMiddleware.js';
+import { signatureMiddleware } from './signatureMiddleware.js';
+import { addDigest, verifyDigest as $verifyDigest } from './contentDigest.js';
 
-export async function fetchPlus(url, { live = false, ...options } = {}, originalFetch = fetch) {
-    if (live) {
-        const response = await originalFetch(url, {
-            ...options,
-            headers: {
-                'X-Accept-Live': '*',
-                ...options.headers,
-            },
+const inflightRegistries = new WeakMap;
+const cacheStorages = new WeakMap;
+const requestQueues = new WeakMap;
+
+export function fetchPlus(url, { as = null, verifyDigest = false, schema = null, ...options } = {}, originalFetch = fetch) {
+    if (!as && !schema && !verifyDigest) return fetchResponse(url, options, originalFetch);
+    if (options.live) {
+        return Promise.reject(new Error(`The "as", "schema" and "verifyDigest" options are not supported for live responses`));
+    }
+
+    const response = fetchResponse(url, options, originalFetch);
+    if (!as && !schema) {
+        // The body is verified up front, and the response resolves only when it matches its digest
+        return response.then(async (response) => {
+            const bytes = response.body === null ? new Uint8Array : new Uint8Array(await response.clone().arrayBuffer());
+            await $verifyDigest(response, bytes);
+            return response;
         });
-        const liveResponse = new LiveResponse(response);
+    }
+    const result = response.then((response) => response.any({ to: [null, 'auto'].includes(as) ? null : as, memo: true, verifyDigest, schema }));
+    result.response = response;
+    return result;
+}
+
+async function fetchResponse(url, options, originalFetch = fetch) {
+    const {
+        live = false,
+        baseURL = null,
+        query = null,
+        use = [],
+        throwOnError = false,
+        softRedirect = false,
+        httpCache = false,
+        timeout = 0,
+        headersTimeout = 0,
+        idleTimeout = 0,
+        dedupe = false,
+        retry = false,
+        queue = null,
+        priority = null,
+        cookieJar = null,
+        signature = null,
+        digest = null,
+        onUploadProgress = null,
+        onDownloadProgress = null,
+        ...requestInit
+    } = options;
+    const startTime = Date.now();
+
+    // Numeric priorities are for the queue only
+    if (typeof priority === 'string') {
+        requestInit.priority = priority;
+    }
+    if (requestInit.headers) {
+        requestInit.headers = mergeHeaders(requestInit.headers);
+    }
+    let request;
+    if (url instanceof Request) {
+        request = new RequestPlus(url, requestInit);
+    } else if (encodesBody(requestInit)) {
+        request = RequestPlus.from(resolveURL(url, { baseURL, query }), requestInit);
+    } else {
+        // Other bodies go out as native fetch would send them
+        if (isTypeStream(requestInit.body)) requestInit.duplex ??= 'half';
+        request = new RequestPlus(resolveURL(url, { baseURL, query }), requestInit);
+    }
+    const uploadTotal = requestInit.compress ? null : bodyLength(requestInit.body);
+    if (digest) {
+        await addDigest(request, digest);
+    }
+    if (live && !request.headers.has('X-Accept-Live')) {
+        request.headers.set('X-Accept-Live', '*');
+    }
+
+    const middleware = [...use];
+    if (throwOnError) middleware.push(errorMiddleware(throwOnError));
+    if (softRedirect) middleware.push(redirectMiddleware(softRedirect));
+    if (httpCache) {
+        // As with dedupe, cookie jars add their cookies further down the pipeline, so each jar gets a storage of its own
+        if (!cacheStorages.has(originalFetch)) cacheStorages.set(originalFetch, new WeakMap);
+        const storages = cacheStorages.get(originalFetch), scope = cookieJar || originalFetch;
+        if (!storages.has(scope)) storages.set(scope, new MemoryCacheStorage);
+        middleware.push(cacheMiddleware({ storage: storages.get(scope), ...(httpCache === true ? {} : httpCache) }));
+    }
+    if (timeout || headersTimeout || idleTimeout) middleware.push(timeoutMiddleware({ timeout, headersTimeout, idleTimeout }));
+    if (dedupe) {
+        // Cookie jars add their cookies further down the pipeline, so each jar gets a registry of its own
+        if (!inflightRegistries.has(originalFetch)) inflightRegistries.set(originalFetch, new WeakMap);
+        const registries = inflightRegistries.get(originalFetch), scope = cookieJar || originalFetch;
+        if (!registries.has(scope)) registries.set(scope, new Map);
+        middleware.push(dedupeMiddleware({ ...(dedupe === true ? {} : dedupe), registry: registries.get(scope) }));
+    }
+    if (retry) middleware.push(retryMiddleware(retry));
+    if (queue) {
+        // Plain options objects get a queue of their own, shared by the requests they're passed to
+        if (!(queue instanceof RequestQueue) && !requestQueues.has(queue)) requestQueues.set(queue, new RequestQueue(queue));
+        middleware.push(queueMiddleware(queue instanceof RequestQueue ? queue : requestQueues.get(queue), { priority: priority ?? 'auto' }));
+    }
+    if (cookieJar) middleware.push(cookieMiddleware(cookieJar));
+    if (signature) middleware.push(signatureMiddleware(signature));
+    if (onUploadProgress || onDownloadProgress) middleware.push(progressMiddleware({ onUploadProgress, onDownloadProgress, uploadTotal }));
+
+    const dispatch = compose(middleware, async (request) => {
+        const response = await originalFetch(request);
+        if (response instanceof LiveResponse) return response;
+        return ResponsePlus.upgradeInPlace(response);
+    });
+    const response = await dispatch(request);
+
+    if (live) {
+        const liveResponse = response instanceof LiveResponse ? response : new LiveResponse(response);
+        // Bound the handshake so that a hung negotiation doesn't stay "waiting" forever;
+        // the response isn't ready until it's live, so headersTimeout applies as much as timeout
+        const limit = Math.min(...[timeout, headersTimeout].filter((ms) => ms > 0));
+        if (limit !== Infinity) {
+            let timer;
+            await Promise.race([
+                liveResponse.now(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => {
+                        liveResponse.disconnect(true);
+                        liveResponse.port?.close();
+                        reject(new TimeoutError('handshake', limit));
+                    }, Math.max(1, limit - (Date.now() - startTime)));
+                }),
+            ]).finally(() => clearTimeout(timer));
+        }
         return liveResponse;
     }
-    const response = await originalFetch(url, options);
-    ResponsePlus.upgradeInPlace(response);
     return response;
-}
\ No newline at end of file
+}
+
+fetchPlus.download = function (url, options = {}, originalFetch = fetch) {
+    return download(url, options, (url, options) => fetchPlus(url, options, originalFetch));
+};
+
+fetchPlus.eventSource = function (url, options = {}, originalFetch = fetch) {
+    return eventSource(url, options, (url, options) => fetchPlus(url, options, originalFetch));
+};
+
+fetchPlus.create = function (defaults = {}, originalFetch = undefined) {
+    const client = (url, options = {}, $originalFetch = originalFetch) => {
+        return fetchPlus(url, mergeOptions(defaults, options), $originalFetch);
+    };
+    client.create = (options = {}, $originalFetch = originalFetch) => {
+        return fetchPlus.create(mergeOptions(defaults, options), $originalFetch);
+    };
+    client.download = (url, options = {}) => {
+        return fetchPlus.download(url, mergeOptions(defaults, options), originalFetch);
+    };
+    client.eventSource = (url, options = {}) => {
+        return fetchPlus.eventSource(url, mergeOptions(defaults, options), originalFetch);
+    };
+    for (const method of ['get', 'head', 'delete']) {
+        client[method] = (url, options = {}) => client(url, { ...options, method: method.toUpperCase() });
+    }
+    for (const method of ['post', 'put', 'patch']) {
+        client[method] = (url, body, options = {}) => client(url, { ...options, method: method.toUpperCase(), body });
+    }
+    return client;
+};
+
+// ------ Util
+
+export function compose(middleware, transport) {
+    const dispatch = async (i, request) => {
+        const layer = middleware[i];
+        const response = layer
+            ? await layer(request, ($request = request) => dispatch(i + 1, $request instanceof Request ? RequestPlus.upgradeInPlace($request) : new RequestPlus($request)))
+            : await transport(request);
+
+        if (response instanceof LiveResponse) return response;
+        if (response instanceof Response) return ResponsePlus.upgradeInPlace(response);
+        throw new Error(`Middleware must resolve to a Response or LiveResponse instance`);
+    };
+    return (request) => dispatch(0, request);
+}
+
+export function mergeOptions(defaults, options) {
+    const merged = { ...defaults, ...options };
+    if (defaults.use || options.use) {
+        merged.use = [].concat(defaults.use || [], options.use || []);
+    }
+    if (defaults.headers && options.headers) {
+        merged.headers = mergeHeaders(defaults.headers, options.headers);
+    }
+    if (defaults.query && options.query) {
+        merged.query = { ...defaults.query, ...options.query };
+    }
+    return merged;
+}
+
+export function mergeHeaders(...sources) {
+    const headers = new HeadersPlus;
+    for (const source of sources) {
+        // Set one by one for structured inputs like Cookie and Accept
+        const entries = source instanceof Headers
+            ? source.entries()
+            : (typeof source?.[Symbol.iterator] === 'function' ? new Headers(source).entries() : Object.entries(source || {}));
+        for (const [name, value] of entries) {
+            headers.set(name, value);
+        }
+    }
+    return headers;
+}
+
+function encodesBody({ body, compress = null }) {
+    // Plain objects and iterables need encoding; compression needs a serialized body
+    return !!compress
+        || isAsyncIterable(body)
+        || isGenerator(body)
+        || (dataType(body) === 'json' && _isTypeObject(body));
+}
+
+export function resolveURL(url, { baseURL = null, query = null } = {}) {
+    let href = url + '';
+    if (baseURL && href.startsWith('//')) {
+        // Protocol-relative URLs are absolute but for the scheme
+        href = new URL(href, baseURL).href;
+    } else if (baseURL && !/^[a-z][a-z\d+\-.]*:/i.test(href)) {
+        href = `${(baseURL + '').replace(/\/+$/, '')}/${href.replace(/^\/+/, '')}`;
+    }
+    if (!query) return href;
+
+    const [path, hash] = href.split('#');
+    const params = new URLSearchParams(path.split('?')[1]);
+    URLSearchParamsPlus.reduceValue(query, '', (value, contextPath, suggestedKeys = undefined) => {
+        if (suggestedKeys) return suggestedKeys;
+        if (value === undefined) return;
+        params.set(contextPath, value);
+    });
+    const search = params.toString();
+    return path.split('?')[0] + (search ? `?${search}` : '') + (hash !== undefined ? `#${hash}` : '');
+}
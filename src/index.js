@@ -4,4 +4,11 @@ export { ResponsePlus } from './ResponsePlus.js';
 export { HeadersPlus } from './HeadersPlus.js';
 export { FormDataPlus } from './FormDataPlus.js';
 export { LiveResponse } from './LiveResponse.js';
+export { CookieJar } from './CookieJar.js';
+export { RequestQueue } from './RequestQueue.js';
+export { TimeoutError } from './TimeoutError.js';
+export { HttpError } from './HttpError.js';
+export { ValidationError } from './ValidationError.js';
+export { MemoryCacheStorage } from './MemoryCacheStorage.js';
+export { CacheApiStorage } from './CacheApiStorage.js';
 export { default as Observer } from '@webqit/observer';
\ No newline at end of file
@@ -1,6 +1,10 @@
 import { _isString, _isObject, _isTypeObject, _isNumber, _isBoolean, _isPlainObject, _isPlainArray } from '@webqit/util/js/index.js';
 import { _wq as $wq } from '@webqit/util/js/index.js';
 import { FormDataPlus } from './FormDataPlus.js';
+import { verifyDigest as $verifyDigest } from './contentDigest.js';
+import { compressStream, decompressStream, contentEncodings } from './compression.js';
+import { validateSchema } from './schemaValidation.js';
+import { parseEventStream } from './eventStream.js';
 
 export const _wq = (target, ...args) => $wq(target, 'fetch+', ...args);
 export const _meta = (target, ...args) => $wq(target, 'fetch+', 'meta', ...args);
@@ -26,14 +30,26 @@ export function messageParserMixin(superClass) {
             let body = httpMessageInit.body;
 
             if (isAsyncIterable(body) || isGenerator(body)) {
+                // Without a content type, synchronous generators are peeked at for the type of their values;
+                // async iterables can't be peeked at synchronously, so they need an explicit content type for NDJSON
+                let ndjson = false;
+                if (!headers['content-type'] && !isAsyncIterable(body)) {
+                    ({ iterator: body, ndjson } = peekIterator(body));
+                }
+                headers['content-type'] ??= ndjson ? 'application/x-ndjson' : 'application/octet-stream';
                 body = asyncIterableToStream(body);
                 const type = 'ReadableStream';
-                headers['content-type'] ??= 'application/octet-stream';
-                return { body, headers: new Headers(headers), $type: type };
+                return withCompression({ body, headers, $type: type }, httpMessageInit.compress);
             }
 
             let type = [null, undefined].includes(body) ? null : dataType(body);
 
+            // Bodies the native constructors encode by themselves
+            if (body instanceof URLSearchParams
+                || (ArrayBuffer.isView(body) && !['Uint8Array', 'Uint16Array', 'Uint32Array'].includes(type))) {
+                return withCompression({ body, headers, $type: null }, httpMessageInit.compress);
+            }
+
             // Binary bodies
             if (['Blob', 'File'].includes(type)) {
 
@@ -71,7 +87,11 @@ export function messageParserMixin(superClass) {
             }
 
             // Return canonical init object with type info
-            return { body, headers: new Headers(headers), $type: type };
+            return withCompression({ body, headers, $type: type }, httpMessageInit.compress);
+        }
+
+        iterate({ parse = 'bytes' } = {}) {
+            return streamToAsyncIterable(this.body, { parse });
         }
 
         async formData() {
@@ -80,17 +100,47 @@ export function messageParserMixin(superClass) {
             return fd;
         }
 
-        async any({ to = null, memo = false } = {}) {
+        async any({ to = null, memo = false, verifyDigest = false, decompress = false, schema = null } = {}) {
             if (to && ![
-                'blob', 'text', 'json', 'arrayBuffer', 'bytes', 'formData'
+                'blob', 'text', 'json', 'arrayBuffer', 'bytes', 'formData', 'events'
             ].includes(to)) throw new Error(`Invalid target type specified: ${to}`);
 
+            // Bodies constructed locally or proxied may still be encoded
+            const encoding = (this.headers.get('Content-Encoding') || '').trim().toLowerCase();
+            const encoded = decompress && !!encoding && encoding !== 'identity';
+
+            if (verifyDigest) {
+                const bytes = this.body === null ? new Uint8Array : new Uint8Array(await this.clone().arrayBuffer());
+                await $verifyDigest(this, bytes, { encoded });
+            }
+
             if (this.body === null) return null;
 
+            let decoded;
+            const source = () => {
+                if (!encoded) return this;
+                const headers = new Headers(this.headers);
+                headers.delete('Content-Encoding');
+                headers.delete('Content-Length');
+                return decoded ??= new Response(decompressStream(this.body, encoding), { headers });
+            };
+
+            const contentType = (this.headers.get('Content-Type') || '').split(';')[0].trim();
+
+            // Streams are consumed as they arrive – without memoization
+            if (to === 'events') {
+                if (schema) throw new Error(`The "schema" option is not supported for event streams`);
+                return parseEventStream(source().body);
+            }
+            if (!to && ndjsonTypes.includes(contentType)) {
+                const items = streamToAsyncIterable(source().body, { parse: 'ndjson' });
+                return schema ? validateEach(items, schema) : items;
+            }
+
             const cache = _meta(this, 'cache');
             const readAs = async (type) => {
                 // 1. Direct parsing
-                if (!memo) return await this[type || 'bytes']();
+                if (!memo) return await source()[type || 'bytes']();
 
                 const byValue = (x) => {
                     if (x instanceof FormData) {
@@ -119,8 +169,8 @@ export function messageParserMixin(superClass) {
                 if (cache.has('memo')) {
                     result = cache.get('memo').clone()[type]();
                 } else {
-                    cache.set('memo', this.clone());
-                    result = await this[type]();
+                    cache.set('memo', source().clone());
+                    result = await source()[type]();
                 }
 
                 cache.set(type, result);
@@ -128,7 +178,6 @@ export function messageParserMixin(superClass) {
                 return byValue(result);
             };
 
-            const contentType = (this.headers.get('Content-Type') || '').split(';')[0].trim();
             let result;
             if ((!to || ['formData', 'json'].includes(to))
                 && ['multipart/form-data', 'application/x-www-form-urlencoded'].includes(contentType)) {
@@ -141,7 +190,7 @@ export function messageParserMixin(superClass) {
 
                 result = fd;
             } else if ((!to || ['formData', 'json'].includes(to))
-                && contentType === 'application/json') {
+                && (contentType === 'application/json' || /^application\/[^/]+\+json$/.test(contentType))) {
                 let json = await readAs('json');
 
                 if (to === 'formData') {
@@ -170,6 +219,10 @@ export function messageParserMixin(superClass) {
                 result = await readAs(to);
             }
 
+            if (schema) {
+                result = await validateSchema(result, schema);
+            }
+
             return result;
         }
 
@@ -182,6 +235,8 @@ export function messageParserMixin(superClass) {
 
 // ------ Util
 
+export const ndjsonTypes = ['application/x-ndjson', 'application/jsonl'];
+
 export function dataType(value) {
     if (value instanceof FormData) {
         return 'FormData';
@@ -223,6 +278,21 @@ export function isTypeReadable(obj) {
     );
 }
 
+function withCompression({ body, headers, $type }, compress) {
+    if (!compress || [null, undefined].includes(body)) {
+        return { body, headers: new Headers(headers), $type };
+    }
+    if (!contentEncodings[compress]) {
+        throw new Error(`Unsupported content encoding: ${compress}`);
+    }
+    // Serialize the body – e.g. FormData, with its boundary – before compressing it
+    const encoded = new Response(body);
+    headers['content-type'] ??= encoded.headers.get('content-type');
+    headers['content-encoding'] = compress;
+    delete headers['content-length'];
+    return { body: compressStream(encoded.body, compress), headers: new Headers(headers), $type };
+}
+
 export function isTypeStream(obj) {
     return obj instanceof ReadableStream
         || isTypeReadable(obj);
@@ -236,6 +306,31 @@ export const isGenerator = (obj) => {
         //&& typeof obj?.return === 'function';
 };
 
+function peekIterator(iterator) {
+    let first = iterator.next();
+    const $iterator = {
+        next(...args) {
+            if (!first) return iterator.next(...args);
+            const result = first;
+            first = null;
+            return result;
+        },
+        return(value) {
+            return iterator.return?.(value);
+        },
+    };
+    // Values that encode as JSON make for newline-delimited JSON
+    const value = typeof first?.then === 'function' || first?.done ? undefined : first?.value;
+    const ndjson = ![null, undefined].includes(value) && typeof value !== 'string' && !(value instanceof Uint8Array);
+    return { iterator: $iterator, ndjson };
+}
+
+async function* validateEach(items, schema) {
+    for await (const item of items) {
+        yield await validateSchema(item, schema);
+    }
+}
+
 export function isAsyncIterable(obj) {
     return (
         obj !== null &&
@@ -245,7 +340,7 @@ export function isAsyncIterable(obj) {
 }
 
 export function asyncIterableToStream(iterable) {
-    if (!isAsyncIterable(iterable) && !isGenerator(body)) {
+    if (!isAsyncIterable(iterable) && !isGenerator(iterable)) {
         throw new TypeError('Body must be an async iterable.');
     }
 
@@ -317,52 +412,50 @@ export function asyncIterableToStream(iterable) {
     });
 }
 
-function streamToAsyncIterable(stream, { parse = null } = {}) {
-    const reader = stream.getReader();
-    const decoder = new TextDecoder();
-
-    let finished = false;
-    let buffer = '';
-
-    const close = async () => {
-        if (finished) return;
-        finished = true;
-        try {
-            await reader.cancel();
-        } catch { }
-        reader.releaseLock();
-    };
-
-    return {
-        async *[Symbol.asyncIterator]() {
+export function streamToAsyncIterable(stream, { parse = 'bytes' } = {}) {
+    if (!['bytes', 'ndjson', 'text-lines'].includes(parse)) {
+        throw new Error(`Invalid parse type specified: ${parse}`);
+    }
+    return (async function* () {
+        if (!stream) return;
+        const reader = stream.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '', lineNumber = 0;
+
+        const parseLine = (line) => {
+            lineNumber++;
+            line = line.replace(/\r$/, '');
+            if (parse === 'text-lines') return [line];
+            if (!line.trim()) return [];
             try {
-                while (true) {
-                    const { value, done } = await reader.read();
-                    if (done) break;
-
-                    if (parse === 'ndjson') {
-                        buffer += decoder.decode(value, { stream: true });
-
-                        let lines = buffer.split('\n');
-                        buffer = lines.pop(); // incomplete fragment
-
-                        for (const line of lines) {
-                            if (line.trim()) yield JSON.parse(line);
-                        }
-
-                        continue;
-                    }
+                return [JSON.parse(line)];
+            } catch (e) {
+                throw new Error(`Invalid NDJSON at line ${lineNumber}: ${e.message}`);
+            }
+        };
 
+        try {
+            for (; ;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                if (parse === 'bytes') {
                     yield value;
+                    continue;
                 }
 
-                if (parse === 'ndjson' && buffer.trim()) {
-                    yield JSON.parse(buffer);
-                }
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop(); // incomplete fragment
+                for (const line of lines) yield* parseLine(line);
+            }
 
-            } finally {
-                await close();
+            if (parse !== 'bytes') {
+                buffer += decoder.decode();
+                if (buffer) yield* parseLine(buffer);
             }
+        } finally {
+            await reader.cancel().catch(() => { });
+            reader.releaseLock();
         }
-    };
+    })();
 }
@@ -0,0 +1,278 @@
+export const signatureAlgorithms = {
+    'hmac-sha256': { name: 'HMAC' },
+    'ecdsa-p256-sha256': { name: 'ECDSA', hash: 'SHA-256' },
+    'ed25519': { name: 'Ed25519' },
+};
+
+export async function signMessage(message, {
+    key,
+    keyId = null,
+    alg = null,
+    label = 'sig1',
+    components = null,
+    created = Math.floor(Date.now() / 1000),
+    expires = null,
+    nonce = null,
+    tag = null,
+    request = null,
+} = {}) {
+    const $key = await importKey(key, 'sign');
+    const $alg = alg || inferAlgorithm($key);
+    if (!signatureAlgorithms[$alg]) {
+        throw new Error(`Unsupported signature algorithm: ${$alg}`);
+    }
+
+    const $components = (components || defaultComponents(message)).map(parseComponent);
+    const params = { created, expires, keyid: keyId, alg: alg && $alg, nonce, tag };
+    const signatureParams = `(${$components.map(serializeComponent).join(' ')})${serializeParams(params)}`;
+    const base = signatureBase(message, $components, signatureParams, { request });
+
+    const signature = await crypto.subtle.sign(signatureAlgorithms[$alg], $key, new TextEncoder().encode(base));
+    message.headers.append('Signature-Input', `${label}=${signatureParams}`);
+    message.headers.append('Signature', `${label}=:${toBase64(new Uint8Array(signature))}:`);
+    return message;
+}
+
+export async function verifyMessage(message, {
+    key = null,
+    keys = null,
+    label = null,
+    components = null,
+    maxAge = null,
+    tolerance = 0,
+    request = null,
+} = {}) {
+    const fail = (reason) => {
+        throw new Error(`Signature verification failed: ${reason}`);
+    };
+
+    if (!message.headers.has('Signature-Input') || !message.headers.has('Signature')) {
+        fail('the message is not signed');
+    }
+    const inputs = parseDictionary(message.headers.get('Signature-Input'));
+    const signatures = parseDictionary(message.headers.get('Signature'));
+    const $label = label || [...inputs.keys()].find((l) => signatures.has(l));
+    const input = inputs.get($label), signature = signatures.get($label);
+    if (!input || !Array.isArray(input.value) || !signature?.value?.bytes) {
+        fail(`no signature labeled "${$label}"`);
+    }
+
+    // Coverage
+    const covered = input.value.map(({ value, params }) => serializeComponent({ name: value, params }));
+    const missing = (components || requiredComponents(message)).map((c) => serializeComponent(parseComponent(c))).filter((c) => !covered.includes(c));
+    if (missing.length) {
+        fail(`the signature doesn't cover ${missing.join(', ')}`);
+    }
+
+    // Validity period
+    const { created = null, expires = null, keyid = null, alg = null } = input.params;
+    const now = Math.floor(Date.now() / 1000);
+    if (created !== null && created > now + tolerance) fail('the signature was created in the future');
+    if (expires !== null && expires < now - tolerance) fail('the signature has expired');
+    if (maxAge !== null && (created === null || now - created > maxAge + tolerance)) fail('the signature is too old');
+
+    // Key and algorithm
+    const $key = await importKey(key || (typeof keys === 'function' ? await keys(keyid, input.params) : keys?.[keyid]), 'verify');
+    if (!$key) fail(`no key for keyid "${keyid}"`);
+    const $alg = alg || inferAlgorithm($key);
+    if (!signatureAlgorithms[$alg] || $alg !== inferAlgorithm($key)) {
+        fail(`the algorithm "${$alg}" doesn't match the key`);
+    }
+
+    let base;
+    try {
+        base = signatureBase(message, input.value.map(({ value, params }) => ({ name: value, params })), input.raw, { request });
+    } catch (e) {
+        fail(e.message);
+    }
+    const verified = await crypto.subtle.verify(signatureAlgorithms[$alg], $key, fromBase64(signature.value.bytes), new TextEncoder().encode(base));
+    if (!verified) fail('the signature does not match');
+
+    return { label: $label, keyId: keyid, alg: $alg, created, expires, components: covered, params: input.params };
+}
+
+// ------ Util
+
+export function signatureBase(message, components, signatureParams, { request = null } = {}) {
+    const lines = [], seen = new Set;
+    for (const component of components) {
+        const id = serializeComponent(component);
+        if (seen.has(id)) throw new Error(`Duplicate signature component: ${id}`);
+        seen.add(id);
+        lines.push(`${id}: ${componentValue(message, component, { request })}`);
+    }
+    lines.push(`"@signature-params": ${signatureParams}`);
+    return lines.join('\n');
+}
+
+function componentValue(message, { name, params }, { request }) {
+    if (params.req) {
+        if (!request) throw new Error(`The component ${serializeComponent({ name, params })} requires the request`);
+        message = request;
+    }
+    if (!name.startsWith('@')) {
+        if (!message.headers.has(name)) throw new Error(`Missing signature component: ${name}`);
+        return message.headers.get(name).trim().replace(/\s*\r?\n\s*/g, ' ');
+    }
+    if (name === '@status') {
+        if (!(message instanceof Response)) throw new Error(`The @status component only applies to responses`);
+        return String(message.status);
+    }
+    const url = new URL(message.url);
+    switch (name) {
+        case '@method': return message.method.toUpperCase();
+        case '@target-uri': return url.href;
+        case '@authority': return url.host.toLowerCase();
+        case '@scheme': return url.protocol.slice(0, -1).toLowerCase();
+        case '@request-target': return url.pathname + url.search;
+        case '@path': return url.pathname;
+        case '@query': return url.search || '?';
+        case '@query-param': {
+            const value = url.searchParams.get(params.name);
+            if (value === null) throw new Error(`Missing query parameter: ${params.name}`);
+            return encodeURIComponent(value);
+        }
+    }
+    throw new Error(`Unsupported signature component: ${name}`);
+}
+
+function defaultComponents(message) {
+    const components = message instanceof Response ? ['@status'] : ['@method', '@target-uri'];
+    return components.concat(['content-type', 'content-digest'].filter((name) => message.headers.has(name)));
+}
+
+function requiredComponents(message) {
+    // Signatures that cover nothing of the message could be replayed onto any other (RFC 9421 §7.2.1)
+    const components = message instanceof Response ? ['@status'] : ['@method', '@target-uri'];
+    return message.body === null ? components : components.concat('content-digest');
+}
+
+function parseComponent(component) {
+    if (typeof component !== 'string') return component;
+    const [name, ...params] = component.split(';');
+    const { value: [item] } = parseDictionary(`c=("${name.trim().toLowerCase()}"${params.length ? ';' + params.join(';') : ''})`).get('c');
+    return { name: item.value, params: item.params };
+}
+
+function serializeComponent({ name, params = {} }) {
+    return `"${name}"${serializeParams(params)}`;
+}
+
+function serializeParams(params) {
+    return Object.entries(params).filter(([, v]) => v !== null && v !== undefined && v !== false).map(([k, v]) => {
+        if (v === true) return `;${k}`;
+        if (typeof v === 'number') return `;${k}=${v}`;
+        return `;${k}="${String(v).replace(/[\\"]/g, '\\$&')}"`;
+    }).join('');
+}
+
+export function parseDictionary(input) {
+    const dictionary = new Map;
+    let i = 0;
+    const fail = () => { throw new Error(`Malformed structured field at ${i}: ${input}`); };
+    const skipWhitespace = () => { while (input[i] === ' ' || input[i] === '\t') i++; };
+    const match = (regex) => {
+        const m = regex.exec(input.slice(i));
+        if (!m) return null;
+        i += m[0].length;
+        return m[0];
+    };
+
+    const parseBareItem = () => {
+        if (input[i] === '"') {
+            let str = '';
+            for (i++; i < input.length;) {
+                const c = input[i++];
+                if (c === '\\') str += input[i++];
+                else if (c === '"') return str;
+                else str += c;
+            }
+            fail();
+        }
+        if (input[i] === ':') {
+            const end = input.indexOf(':', i + 1);
+            if (end === -1) fail();
+            const bytes = input.slice(i + 1, end);
+            i = end + 1;
+            return { bytes };
+        }
+        if (input[i] === '?') {
+            const bool = match(/^\?[01]/) || fail();
+            return bool === '?1';
+        }
+        const number = match(/^-?\d+(\.\d+)?/);
+        if (number !== null) return Number(number);
+        return match(/^[A-Za-z*][\w:/!#$%&'*+\-.^`|~]*/) || fail();
+    };
+    const parseParams = () => {
+        const params = {};
+        while (input[i] === ';') {
+            i++;
+            skipWhitespace();
+            const key = match(/^[a-z*][a-z0-9_\-.*]*/) || fail();
+            params[key] = true;
+            if (input[i] === '=') {
+                i++;
+                params[key] = parseBareItem();
+            }
+        }
+        return params;
+    };
+
+    skipWhitespace();
+    while (i < input.length) {
+        const key = match(/^[a-z*][a-z0-9_\-.*]*/) || fail();
+        const member = { value: true, params: {}, raw: '' };
+        if (input[i] === '=') {
+            const start = ++i;
+            if (input[i] === '(') {
+                member.value = [];
+                for (i++; ;) {
+                    skipWhitespace();
+                    if (input[i] === ')') break;
+                    if (i >= input.length) fail();
+                    member.value.push({ value: parseBareItem(), params: parseParams() });
+                }
+                i++;
+            } else {
+                member.value = parseBareItem();
+            }
+            member.params = parseParams();
+            member.raw = input.slice(start, i);
+        } else {
+            member.params = parseParams();
+        }
+        dictionary.set(key, member);
+
+        skipWhitespace();
+        if (i >= input.length) break;
+        if (input[i++] !== ',') fail();
+        skipWhitespace();
+    }
+    return dictionary;
+}
+
+async function importKey(key, usage) {
+    if (!key || key instanceof CryptoKey) return key;
+    // Raw secrets are for HMAC
+    const bytes = typeof key === 'string' ? new TextEncoder().encode(key) : key;
+    return crypto.subtle.importKey('raw', bytes, { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+}
+
+function inferAlgorithm(key) {
+    const { name, namedCurve, hash } = key.algorithm;
+    if (name === 'HMAC' && hash?.name === 'SHA-256') return 'hmac-sha256';
+    if (name === 'ECDSA' && namedCurve === 'P-256') return 'ecdsa-p256-sha256';
+    if (name === 'Ed25519') return 'ed25519';
+    return null;
+}
+
+export function toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary);
+}
+
+function fromBase64(str) {
+    return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
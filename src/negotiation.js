@@ -0,0 +1,97 @@
+export const negotiationHeaders = { type: 'Accept', language: 'Accept-Language', encoding: 'Accept-Encoding', charset: 'Accept-Charset' };
+
+export function negotiate(request, offers = {}) {
+    const result = {}, vary = [];
+    for (const [dimension, header] of Object.entries(negotiationHeaders)) {
+        if (!offers[dimension]) continue;
+        result[dimension] = selectVariant(dimension, [].concat(offers[dimension]), request.headers.get(header));
+        vary.push(header);
+    }
+    return { ...result, vary: vary.join(', ') };
+}
+
+// ------ Util
+
+function selectVariant(dimension, offers, header) {
+    // Without the header, anything is acceptable, and the server's order decides
+    if (header === null) return offers[0] ?? null;
+
+    const ranges = parseWeightedList(header, { params: dimension === 'type' });
+    let best = null;
+    for (const offer of offers) {
+        let match = null;
+        for (const range of ranges) {
+            const specificity = matchSpecificity(dimension, range, offer);
+            if (specificity > (match?.specificity ?? -1)) match = { q: range.q, specificity };
+        }
+        // identity is acceptable unless excluded, by name or by "*" (RFC 9110 §12.5.3)
+        if (!match && dimension === 'encoding' && offer.toLowerCase() === 'identity') {
+            match = { q: 1, specificity: 0 };
+        }
+        if (!match || match.q <= 0) continue;
+        if (!best || match.q > best.q || (match.q === best.q && match.specificity > best.specificity)) {
+            best = { offer, ...match };
+        }
+    }
+    return best?.offer ?? null;
+}
+
+function matchSpecificity(dimension, range, offer) {
+    const $offer = offer.toLowerCase();
+    if (dimension === 'type') {
+        const [type, ...params] = splitList($offer, ';');
+        const [major, minor] = type.split('/');
+        const [rangeMajor, rangeMinor] = range.value.split('/');
+        if (rangeMajor === '*') return rangeMinor === '*' ? 1 : -1;
+        if (rangeMajor !== major) return -1;
+        if (rangeMinor === '*') return 2;
+        if (rangeMinor !== minor) return -1;
+        // Parameters on the range must all be on the offer
+        const offerParams = parseParams(params);
+        const rangeParams = Object.entries(range.params);
+        if (rangeParams.some(([name, value]) => offerParams[name] !== value)) return -1;
+        return 3 + rangeParams.length;
+    }
+    if (range.value === '*') return 1;
+    if (dimension === 'language') {
+        // Basic filtering per RFC 4647 – with a lower-ranked fallback to the offer's broader tag
+        if (range.value === $offer) return 4;
+        if ($offer.startsWith(range.value + '-')) return 3;
+        if (range.value.startsWith($offer + '-')) return 2;
+        return -1;
+    }
+    return range.value === $offer ? 2 : -1;
+}
+
+function parseWeightedList(header, { params: withParams = false } = {}) {
+    return splitList(header, ',').filter((item) => item).map((item) => {
+        const [value, ...rest] = splitList(item, ';');
+        const params = {};
+        let q = 1;
+        for (const param of rest) {
+            const [name, paramValue = ''] = param.split('=').map((s) => s.trim());
+            if (name.toLowerCase() === 'q') {
+                q = parseFloat(paramValue);
+                break; // Anything after "q" is an extension
+            }
+            if (withParams) params[name.toLowerCase()] = unquote(paramValue).toLowerCase();
+        }
+        return { value: value.toLowerCase(), params, q };
+    }).filter(({ q }) => !Number.isNaN(q) && q >= 0 && q <= 1);
+}
+
+function parseParams(params) {
+    return Object.fromEntries(params.map((param) => {
+        const [name, value = ''] = param.split('=').map((s) => s.trim());
+        return [name, unquote(value)];
+    }));
+}
+
+function splitList(str, separator) {
+    // Separators within quoted strings don't count
+    return str.split(new RegExp(`${separator}(?=(?:[^"]*"[^"]*")*[^"]*$)`)).map((s) => s.trim());
+}
+
+function unquote(str) {
+    return /^".*"$/.test(str) ? str.slice(1, -1).replace(/\\(.)/g, '$1') : str;
+}
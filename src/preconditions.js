@@ -0,0 +1,81 @@
+export function evaluatePreconditions(request, { etag = null, lastModified = null, exists = true } = {}) {
+    // In the order of RFC 9110 §13.2.2
+    const method = request.method.toUpperCase();
+    const $etag = normalizeETag(etag);
+    const modified = toSeconds(lastModified);
+
+    // 1. If-Match, else 2. If-Unmodified-Since
+    const ifMatch = request.headers.get('If-Match');
+    if (ifMatch !== null) {
+        if (!matchesETags(ifMatch, $etag, { exists, weak: false })) return 412;
+    } else {
+        const since = toSeconds(request.headers.get('If-Unmodified-Since'));
+        if (since !== null && modified !== null && modified > since) return 412;
+    }
+
+    // 3. If-None-Match, else 4. If-Modified-Since
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    if (ifNoneMatch !== null) {
+        if (matchesETags(ifNoneMatch, $etag, { exists, weak: true })) {
+            return ['GET', 'HEAD'].includes(method) ? 304 : 412;
+        }
+    } else if (['GET', 'HEAD'].includes(method)) {
+        const since = toSeconds(request.headers.get('If-Modified-Since'));
+        if (since !== null && modified !== null && modified <= since) return 304;
+    }
+
+    // 5. If-Range only decides whether the Range header applies
+    return 'proceed';
+}
+
+export function matchesIfRange(request, { etag = null, lastModified = null } = {}) {
+    const ifRange = request.headers.get('If-Range')?.trim();
+    if (!ifRange) return true;
+    // Only strong validators match
+    if (/^(W\/)?"/.test(ifRange)) {
+        const $etag = normalizeETag(etag);
+        return !ifRange.startsWith('W/') && !!$etag && !$etag.startsWith('W/') && ifRange === $etag;
+    }
+    const since = toSeconds(ifRange), modified = toSeconds(lastModified);
+    return since !== null && since === modified;
+}
+
+export function notModifiedHeaders({ etag = null, lastModified = null, headers = {} } = {}) {
+    // The fields a 200 response would have carried that a 304 must also carry (RFC 9110 §15.4.5)
+    const source = new Headers(headers);
+    const result = new Headers;
+    for (const name of ['Cache-Control', 'Content-Location', 'Date', 'ETag', 'Expires', 'Vary']) {
+        if (source.has(name)) result.set(name, source.get(name));
+    }
+    if (etag) result.set('ETag', normalizeETag(etag));
+    // Last-Modified guides cache updates where there's no ETag
+    const $lastModified = lastModified ?? source.get('Last-Modified');
+    if (!result.has('ETag') && $lastModified !== null) {
+        result.set('Last-Modified', toHttpDate($lastModified));
+    }
+    return result;
+}
+
+// ------ Util
+
+function normalizeETag(etag) {
+    if (etag === null || etag === undefined) return null;
+    return /^(W\/)?"/.test(etag) ? etag : `"${etag}"`;
+}
+
+function matchesETags(header, etag, { exists, weak }) {
+    if (header.trim() === '*') return exists;
+    if (!etag) return false;
+    const opaque = (tag) => weak ? tag.replace(/^W\//, '') : tag;
+    return (header.match(/(W\/)?"[^"]*"/g) || []).some((tag) => (weak || (!tag.startsWith('W/') && !etag.startsWith('W/'))) && opaque(tag) === opaque(etag));
+}
+
+function toSeconds(date) {
+    if (date === null || date === undefined) return null;
+    const time = date instanceof Date ? date.getTime() : (typeof date === 'number' ? date : Date.parse(date));
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+function toHttpDate(date) {
+    return typeof date === 'string' ? date : new Date(date).toUTCString();
+}
@@ -0,0 +1,99 @@
+import { RequestPlus } from './RequestPlus.js';
+import { withBody } from './ResponsePlus.js';
+
+export function progressMiddleware({ onUploadProgress = null, onDownloadProgress = null, uploadTotal = null } = {}) {
+    return async (request, next) => {
+        const response = onUploadProgress && request.body
+            ? await uploadWithProgress(request, next, onUploadProgress, uploadTotal ?? contentLength(request.headers))
+            : await next(request);
+        if (!onDownloadProgress || !response.body) return response;
+
+        // Content-Length describes the encoded body, not the decoded bytes we count
+        const encoding = response.headers.get('Content-Encoding');
+        const total = encoding && encoding !== 'identity' ? null : contentLength(response.headers);
+        return withBody(response, trackProgress(response.body, total, onDownloadProgress));
+    };
+}
+
+// ------ Util
+
+async function uploadWithProgress(request, next, callback, total) {
+    // Without a streamed body, progress is only known before and after the upload
+    const sendWhole = async (request) => {
+        callback({ loaded: 0, total, lengthComputable: total !== null });
+        const response = await next(request);
+        callback({ loaded: total, total, lengthComputable: total !== null });
+        return response;
+    };
+    if (!supportsRequestStreams()) return sendWhole(request);
+
+    // Connections that don't take streamed bodies (e.g. HTTP/1.1 in Chrome) fail before any of the body is read,
+    // so a copy of the body is kept until then, for sending it whole instead
+    let replay = request.clone();
+    const release = () => {
+        replay?.body?.cancel().catch(() => { });
+        replay = null;
+    };
+    const body = trackProgress(request.body, total, (event) => {
+        if (event.loaded) release();
+        callback(event);
+    });
+
+    let response;
+    try {
+        response = await next(new RequestPlus(request, { body, duplex: 'half' }));
+    } catch (e) {
+        if (!replay || e.name === 'AbortError') throw e;
+        const $replay = replay;
+        replay = null;
+        return sendWhole($replay);
+    }
+    release();
+    return response;
+}
+
+let requestStreams;
+export function supportsRequestStreams() {
+    if (requestStreams !== undefined) return requestStreams;
+    // Environments without streamed bodies neither read the duplex option nor keep the stream as is
+    let duplexAccessed = false;
+    try {
+        const hasContentType = new Request('http://localhost/', {
+            method: 'POST',
+            body: new ReadableStream,
+            get duplex() {
+                duplexAccessed = true;
+                return 'half';
+            },
+        }).headers.has('Content-Type');
+        return requestStreams = duplexAccessed && !hasContentType;
+    } catch {
+        return requestStreams = false;
+    }
+}
+
+export function trackProgress(stream, total, callback) {
+    let loaded = 0;
+    const report = () => callback({ loaded, total, lengthComputable: total !== null });
+    return stream.pipeThrough(new TransformStream({
+        start() { report(); },
+        transform(chunk, controller) {
+            loaded += chunk.byteLength ?? chunk.length;
+            report();
+            controller.enqueue(chunk);
+        },
+    }));
+}
+
+export function bodyLength(body) {
+    // Content-Length is a forbidden request header in browsers, so sizes are best taken from the body itself
+    if (body instanceof Blob) return body.size;
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+    if (typeof body === 'string' || body instanceof URLSearchParams) return new TextEncoder().encode(body + '').byteLength;
+    return null;
+}
+
+function contentLength(headers) {
+    const value = parseInt(headers.get('Content-Length'), 10);
+    return Number.isNaN(value) ? null : value;
+}
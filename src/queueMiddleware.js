@@ -0,0 +1,12 @@
+export function queueMiddleware(queue, { priority = 0 } = {}) {
+    return async (request, next) => {
+        const release = await queue.acquire(request.url, { priority, signal: request.signal });
+        try {
+            const response = await next();
+            queue.observe(request.url, response);
+            return response;
+        } finally {
+            release();
+        }
+    };
+}
@@ -0,0 +1,73 @@
+import { _isObject } from '@webqit/util/js/index.js';
+import { RequestPlus } from './RequestPlus.js';
+
+export function redirectMiddleware(options = {}) {
+    const {
+        follow = true,
+        limit = 20,
+    } = _isObject(options) ? options : { follow: options };
+
+    return async (request, next) => {
+        if (!follow) return next();
+
+        // Buffer the request once so that 307/308 hops re-send the same body
+        let { url, ...requestInit } = await RequestPlus.copy(request);
+        let response = await next();
+        const visited = new Set([`${requestInit.method.toUpperCase()} ${url}`]);
+
+        for (let hops = 0; response.softRedirect; hops++) {
+            const { code, location } = response.softRedirect;
+            if (!location) return response;
+            const redirect = { code, location: new URL(location, url).href };
+
+            if (typeof follow === 'function' && !await follow(redirect, { request, response, hops })) {
+                return response;
+            }
+            if (hops >= limit) {
+                throw Object.assign(new Error(`Maximum number of soft redirects (${limit}) exceeded at ${redirect.location}`), { response });
+            }
+
+            requestInit = rewriteRequestInit(requestInit, redirect, url);
+            url = redirect.location;
+
+            const key = `${requestInit.method.toUpperCase()} ${url}`;
+            if (visited.has(key)) {
+                throw Object.assign(new Error(`Soft redirect loop detected at ${redirect.location}`), { response });
+            }
+            visited.add(key);
+
+            await response.body?.cancel().catch(() => { });
+            response = await next(new RequestPlus(url, { ...requestInit, signal: request.signal }));
+            if (!response.redirected) {
+                Object.defineProperty(response, 'redirected', { value: true, configurable: true });
+            }
+        }
+
+        return response;
+    };
+}
+
+// ------ Util
+
+export function rewriteRequestInit(requestInit, { code, location }, fromURL) {
+    const method = requestInit.method.toUpperCase();
+    const headers = new Headers(requestInit.headers);
+    let $requestInit = { ...requestInit, headers };
+
+    // 301/302 rewrite POST to GET; 303 rewrites everything but HEAD; 307/308 preserve the request
+    if (([301, 302].includes(code) && method === 'POST') || (code === 303 && !['GET', 'HEAD'].includes(method))) {
+        $requestInit = { ...$requestInit, method: 'GET', body: null };
+        for (const name of ['Content-Type', 'Content-Length', 'Content-Encoding', 'Content-Language', 'Content-Location']) {
+            headers.delete(name);
+        }
+    }
+
+    // Credentials don't cross origins
+    if (new URL(location).origin !== new URL(fromURL).origin) {
+        headers.delete('Authorization');
+        headers.delete('Proxy-Authorization');
+        headers.delete('Cookie');
+    }
+
+    return $requestInit;
+}
@@ -0,0 +1,83 @@
+import { _isObject, _isNumber } from '@webqit/util/js/index.js';
+import { RequestPlus } from './RequestPlus.js';
+
+export const idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+export const isRetryableStatus = (status) => [408, 429].includes(status) || status >= 500;
+
+export function retryMiddleware(options = {}) {
+    const {
+        limit = 2,
+        methods = idempotentMethods,
+        statuses = isRetryableStatus,
+        delay = 300,
+        maxDelay = 30000,
+        maxRetryAfter = maxDelay,
+        factor = 2,
+        onRetry = null,
+    } = _isNumber(options) ? { limit: options } : (_isObject(options) ? options : {});
+
+    return async (request, next) => {
+        const canRetry = methods.includes(request.method.toUpperCase())
+            || request.headers.has('Idempotency-Key');
+        if (!canRetry || limit < 1) return next();
+
+        // Buffer the request once so that every attempt re-sends the same body
+        const { url, ...requestInit } = await RequestPlus.copy(request);
+        const attempt = () => next(new RequestPlus(url, { ...requestInit, signal: request.signal }));
+
+        for (let i = 0; ; i++) {
+            let response, error;
+            try {
+                response = await attempt();
+            } catch (e) {
+                if (request.signal.aborted || e?.name === 'AbortError') throw e;
+                error = e;
+            }
+
+            const retryable = error || (typeof statuses === 'function'
+                ? statuses(response.status)
+                : statuses.includes(response.status));
+            if (!retryable || i >= limit) {
+                if (error) throw error;
+                return response;
+            }
+
+            const retryAfter = response && parseRetryAfter(response.headers.get('Retry-After'));
+            // Servers asking for longer than we'd wait get their response back as is
+            if (retryAfter > maxRetryAfter) return response;
+            const backoff = Math.min(maxDelay, delay * Math.pow(factor, i));
+            const wait = retryAfter ?? (backoff / 2 + Math.random() * backoff / 2);
+
+            await response?.body?.cancel().catch(() => { });
+            onRetry?.({ attempt: i + 1, error, response, delay: wait });
+            await sleep(wait, request.signal);
+        }
+    };
+}
+
+// ------ Util
+
+export function parseRetryAfter(value) {
+    if (!value?.trim()) return null;
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - Date.now());
+}
+
+export function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onabort);
+            resolve();
+        }, ms);
+        const onabort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onabort, { once: true });
+    });
+}
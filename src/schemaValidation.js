@@ -0,0 +1,157 @@
+import { ValidationError } from './ValidationError.js';
+
+export async function validateSchema(value, schema) {
+    let result;
+    if (schema?.['~standard']) {
+        // Standard Schema validators – e.g. Zod, Valibot, ArkType
+        result = await schema['~standard'].validate(value);
+    } else if (typeof schema?.validate === 'function') {
+        // Custom adapters
+        result = await schema.validate(value);
+    } else {
+        assertSupported(schema);
+        result = { value, issues: jsonSchemaIssues(value, schema) };
+    }
+
+    if (result?.issues?.length) {
+        const issues = result.issues.map(({ path = [], message }) => ({
+            path: [...path].map((key) => typeof key === 'object' ? key.key : key),
+            message,
+        }));
+        throw new ValidationError(issues, { value });
+    }
+    return result && 'value' in result ? result.value : value;
+}
+
+// ------ Util
+
+export const schemaKeywords = [
+    'type', 'enum', 'const',
+    'properties', 'required', 'additionalProperties',
+    'items', 'minItems', 'maxItems',
+    'minLength', 'maxLength', 'pattern',
+    'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+    'allOf', 'anyOf', 'oneOf',
+];
+
+// Annotations don't take part in validation
+export const schemaAnnotations = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly'];
+
+function assertSupported(schema) {
+    // Keywords that would be ignored would let invalid values through, so the whole schema is checked up front
+    if (typeof schema === 'boolean' || schema === undefined) return;
+    if (!schema || typeof schema !== 'object') {
+        throw new Error(`Invalid schema: ${JSON.stringify(schema)}`);
+    }
+    for (const keyword of Object.keys(schema)) {
+        if (!schemaKeywords.includes(keyword) && !schemaAnnotations.includes(keyword)) {
+            throw new Error(`Unsupported schema keyword: "${keyword}"`);
+        }
+    }
+    for (const subschema of [].concat(schema.allOf || [], schema.anyOf || [], schema.oneOf || [], Object.values(schema.properties || {}))) {
+        assertSupported(subschema);
+    }
+    assertSupported(schema.items);
+    assertSupported(schema.additionalProperties);
+}
+
+function jsonSchemaIssues(value, schema, path = []) {
+    if (schema === true || schema === undefined) return [];
+    if (schema === false) return [{ path, message: 'no value is allowed' }];
+    if (!schema || typeof schema !== 'object') {
+        throw new Error(`Invalid schema: ${JSON.stringify(schema)}`);
+    }
+
+    const issue = (message) => [{ path, message }];
+
+    // Composition
+    if (schema.allOf) {
+        const issues = schema.allOf.flatMap((s) => jsonSchemaIssues(value, s, path));
+        if (issues.length) return issues;
+    }
+    if (schema.anyOf && !schema.anyOf.some((s) => !jsonSchemaIssues(value, s, path).length)) {
+        return issue('must match at least one schema in "anyOf"');
+    }
+    if (schema.oneOf && schema.oneOf.filter((s) => !jsonSchemaIssues(value, s, path).length).length !== 1) {
+        return issue('must match exactly one schema in "oneOf"');
+    }
+
+    // Generic
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some((type) => isOfType(value, type))) {
+            return issue(`must be of type ${types.map((type) => `"${type}"`).join(' or ')}`);
+        }
+    }
+    if ('const' in schema && !deepEqual(value, schema.const)) {
+        return issue(`must be equal to ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.some((option) => deepEqual(value, option))) {
+        return issue(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+    }
+
+    const issues = [];
+
+    // Strings
+    if (typeof value === 'string') {
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) issues.push({ path, message: `must have at least ${schema.minLength} characters` });
+        if (schema.maxLength !== undefined && length > schema.maxLength) issues.push({ path, message: `must have at most ${schema.maxLength} characters` });
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) issues.push({ path, message: `must match the pattern "${schema.pattern}"` });
+    }
+
+    // Numbers
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) issues.push({ path, message: `must be >= ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) issues.push({ path, message: `must be <= ${schema.maximum}` });
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) issues.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) issues.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+
+    // Arrays
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) issues.push({ path, message: `must have at least ${schema.minItems} items` });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) issues.push({ path, message: `must have at most ${schema.maxItems} items` });
+        if (schema.items !== undefined) {
+            value.forEach((item, i) => issues.push(...jsonSchemaIssues(item, schema.items, [...path, i])));
+        }
+    }
+
+    // Objects
+    if (isOfType(value, 'object')) {
+        for (const key of schema.required || []) {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) issues.push({ path: [...path, key], message: 'is required' });
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+                issues.push(...jsonSchemaIssues(item, schema.properties[key], [...path, key]));
+            } else if (schema.additionalProperties === false) {
+                issues.push({ path: [...path, key], message: 'is not an allowed property' });
+            } else if (schema.additionalProperties !== undefined) {
+                issues.push(...jsonSchemaIssues(item, schema.additionalProperties, [...path, key]));
+            }
+        }
+    }
+
+    return issues;
+}
+
+function isOfType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'boolean': return typeof value === 'boolean';
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    throw new Error(`Unsupported schema type: ${type}`);
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => deepEqual(a[key], b[key]));
+}
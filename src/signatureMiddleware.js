@@ -0,0 +1,8 @@
+import { signMessage } from './messageSignatures.js';
+
+export function signatureMiddleware(options) {
+    return async (request, next) => {
+        await signMessage(request, options);
+        return next(request);
+    };
+}
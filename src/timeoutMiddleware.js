@@ -0,0 +1,71 @@
+import { RequestPlus } from './RequestPlus.js';
+import { withBody } from './ResponsePlus.js';
+import { TimeoutError } from './TimeoutError.js';
+
+export function timeoutMiddleware({ timeout = 0, headersTimeout = 0, idleTimeout = 0 } = {}) {
+    return async (request, next) => {
+        const controller = new AbortController;
+        const signal = AbortSignal.any([request.signal, controller.signal]);
+        const aborted = new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+        });
+        aborted.catch(() => { });
+
+        const timers = new Map;
+        const arm = (phase, ms) => {
+            if (!ms) return;
+            timers.set(phase, setTimeout(() => controller.abort(new TimeoutError(phase, ms)), ms));
+        };
+        const disarm = (phase) => {
+            clearTimeout(timers.get(phase));
+            timers.delete(phase);
+        };
+        const disarmAll = () => [...timers.keys()].forEach(disarm);
+
+        arm('total', timeout);
+        arm('headers', headersTimeout);
+
+        let response;
+        try {
+            // Race the abort for transports that do not honour signals
+            response = await Promise.race([next(new RequestPlus(request, { signal })), aborted]);
+        } catch (e) {
+            disarmAll();
+            throw e;
+        }
+        disarm('headers');
+
+        if (!response.body || !(timeout || idleTimeout)) {
+            disarmAll();
+            return response;
+        }
+
+        // Keep watching until the body is fully consumed
+        const reader = response.body.getReader();
+        return withBody(response, new ReadableStream({
+            async pull(controller) {
+                arm('idle', idleTimeout);
+                let chunk;
+                try {
+                    chunk = await Promise.race([reader.read(), aborted]);
+                } catch (e) {
+                    disarmAll();
+                    reader.cancel(e).catch(() => { });
+                    controller.error(e);
+                    return;
+                }
+                disarm('idle');
+                if (chunk.done) {
+                    disarmAll();
+                    controller.close();
+                    return;
+                }
+                controller.enqueue(chunk.value);
+            },
+            cancel(reason) {
+                disarmAll();
+                return reader.cancel(reason);
+            }
+        }));
+    };
+}
@@ -4,6 +4,7 @@ import { RequestPlus } from '../src/RequestPlus.js';
 import { ResponsePlus } from '../src/ResponsePlus.js';
 import { FormDataPlus } from '../src/FormDataPlus.js';
 import { fetchPlus } from '../src/fetchPlus.js';
+import { ValidationError } from '../src/ValidationError.js';
 
 describe('Core API Tests', function () {
 
@@ -262,6 +263,453 @@ describe('Core API Tests', function () {
         });
     });
 
+    describe('Content Digests', function () {
+        const url = 'http://example.com/';
+        const body = '{"hello": "world"}';
+
+        it('should compute Content-Digest and Repr-Digest headers', async function () {
+            const req = RequestPlus.from(url, { method: 'POST', body });
+            expect(req).to.be.instanceOf(RequestPlus);
+            expect(await req.addDigest('sha-256')).to.equal(req);
+            expect(req.headers.get('Content-Digest')).to.equal('sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:');
+            expect(await req.text()).to.equal(body);
+
+            const res = await ResponsePlus.from(JSON.parse(body)).addDigest({ algorithms: ['sha-256', 'sha-512'], header: 'Repr-Digest' });
+            expect(res.headers.get('Repr-Digest')).to.match(/^sha-256=:[\w+/=]+:, sha-512=:[\w+/=]+:$/);
+        });
+
+        it('should verify digests in any()', async function () {
+            const res = new ResponsePlus(body, { headers: { 'Content-Type': 'application/json', 'Content-Digest': 'sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:, md5=:unsupported=:' } });
+            expect(await res.any({ verifyDigest: true })).to.deep.equal({ hello: 'world' });
+
+            const tampered = new ResponsePlus('{"hello": "there"}', { headers: { 'Content-Type': 'application/json', 'Content-Digest': 'sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:' } });
+            const error = await tampered.any({ verifyDigest: true }).catch((e) => e);
+            expect(error).to.be.instanceOf(Error);
+            expect(error.message).to.equal('Digest verification failed: Content-Digest does not match the body (sha-256)');
+            expect(tampered.bodyUsed).to.be.false;
+
+            const unsigned = await new ResponsePlus(body).any({ verifyDigest: true }).catch((e) => e);
+            expect(unsigned.message).to.match(/carries no digest/);
+        });
+
+        it('should digest and verify fetchPlus payloads', async function () {
+            const transport = async (request) => {
+                const digest = request.headers.get('Content-Digest');
+                return new Response(await request.text(), { headers: { 'Content-Type': 'application/json', 'Content-Digest': digest } });
+            };
+            const result = await fetchPlus(url, { method: 'POST', body: { hello: 'world' }, digest: 'sha-256', as: 'json', verifyDigest: true }, transport);
+            expect(result).to.deep.equal({ hello: 'world' });
+        });
+
+        it('should verify fetchPlus responses without "as"', async function () {
+            const transport = async (request) => new Response(request.url.endsWith('/tampered') ? '{"hello": "there"}' : body, {
+                headers: { 'Content-Type': 'application/json', 'Content-Digest': 'sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:' },
+            });
+            const response = await fetchPlus(url, { verifyDigest: true }, transport);
+            expect(response).to.be.instanceOf(ResponsePlus);
+            expect(await response.text()).to.equal(body);
+
+            const error = await fetchPlus(`${url}tampered`, { verifyDigest: true }, transport).catch((e) => e);
+            expect(error).to.be.instanceOf(Error);
+            expect(error.message).to.match(/does not match the body/);
+            const live = await fetchPlus(url, { verifyDigest: true, live: true }, transport).catch((e) => e);
+            expect(live.message).to.match(/not supported for live/);
+        });
+    });
+
+    describe('Compression', function () {
+        const url = 'http://example.com/';
+        const payload = { events: Array.from({ length: 100 }, (_, i) => ({ id: i, type: 'telemetry' })) };
+
+        it('should compress bodies and decompress them in any()', async function () {
+            for (const compress of ['gzip', 'deflate', 'br']) {
+                const req = RequestPlus.from(url, { method: 'POST', body: payload, compress });
+                expect(req.headers.get('Content-Encoding')).to.equal(compress);
+                expect(req.headers.get('Content-Type')).to.equal('application/json');
+                expect(req.headers.has('Content-Length')).to.be.false;
+
+                const compressed = new Uint8Array(await req.clone().arrayBuffer());
+                expect(compressed.byteLength).to.be.lessThan(JSON.stringify(payload).length / 5);
+                expect(await req.any({ decompress: true })).to.deep.equal(payload);
+            }
+        });
+
+        it('should compress FormData with its boundary', async function () {
+            const fd = new FormData;
+            fd.append('name', 'John Doe');
+            const res = ResponsePlus.from(fd, { compress: 'gzip' });
+            expect(res.headers.get('Content-Type')).to.match(/^multipart\/form-data; boundary=/);
+            const result = await res.any({ decompress: true, to: 'json' });
+            expect(result).to.deep.equal({ name: 'John Doe' });
+        });
+
+        it('should verify digests over the encoded bytes', async function () {
+            const res = await ResponsePlus.from(payload, { compress: 'gzip' }).addDigest();
+            expect(await res.any({ decompress: true, verifyDigest: true })).to.deep.equal(payload);
+        });
+
+        it('should compress fetchPlus request bodies', async function () {
+            let received;
+            const transport = async (request) => {
+                received = request.headers.get('Content-Encoding');
+                return new Response(await RequestPlus.upgradeInPlace(request).any({ decompress: true, to: 'text' }));
+            };
+            const res = await fetchPlus(url, { method: 'POST', body: 'Hello World', compress: 'gzip' }, transport);
+            expect(received).to.equal('gzip');
+            expect(await res.text()).to.equal('Hello World');
+        });
+    });
+
+    describe('Schema Validation', function () {
+        const url = 'http://example.com/';
+        const schema = {
+            type: 'object',
+            required: ['id', 'tags'],
+            properties: {
+                id: { type: 'integer', minimum: 1 },
+                name: { type: 'string', minLength: 1 },
+                role: { enum: ['admin', 'user'] },
+                tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' } },
+            },
+            additionalProperties: false,
+        };
+
+        it('should validate decoded bodies against a JSON Schema', async function () {
+            const user = { id: 1, name: 'John Doe', role: 'admin', tags: ['staff'] };
+            expect(await ResponsePlus.from(user).any({ schema })).to.deep.equal(user);
+
+            const error = await ResponsePlus.from({ id: 0, role: 'guest', tags: ['staff', 'Ops'], extra: true }).any({ schema }).catch((e) => e);
+            expect(error).to.be.instanceOf(ValidationError);
+            expect(error.message).to.equal('Validation failed at /id: must be >= 1 (and 3 more issues)');
+            expect(error.path).to.deep.equal(['id']);
+            expect(error.issues).to.deep.equal([
+                { path: ['id'], message: 'must be >= 1' },
+                { path: ['role'], message: 'must be one of "admin", "user"' },
+                { path: ['tags', 1], message: 'must match the pattern "^[a-z]+$"' },
+                { path: ['extra'], message: 'is not an allowed property' },
+            ]);
+
+            const missing = await ResponsePlus.from([]).any({ schema }).catch((e) => e);
+            expect(missing.message).to.equal('Validation failed at /: must be of type "object"');
+        });
+
+        it('should reject schemas with unsupported keywords', async function () {
+            for (const unsupported of [{ $ref: '#/$defs/id' }, { not: { type: 'string' } }, { type: 'string', format: 'email' }, { multipleOf: 2 }]) {
+                // Anywhere in the schema – including branches the value doesn't reach
+                const $schema = { ...schema, properties: { ...schema.properties, extra: { anyOf: [{ type: 'null' }, unsupported] } } };
+                const error = await ResponsePlus.from({ id: 1, tags: [] }).any({ schema: $schema }).catch((e) => e);
+                expect(error).to.not.be.instanceOf(ValidationError);
+                expect(error.message).to.equal(`Unsupported schema keyword: "${Object.keys(unsupported).pop()}"`);
+            }
+            const annotated = { $schema: 'https://json-schema.org/draft/2020-12/schema', title: 'User', ...schema };
+            expect(await ResponsePlus.from({ id: 1, tags: [] }).any({ schema: annotated })).to.deep.equal({ id: 1, tags: [] });
+        });
+
+        it('should support validator adapters and Standard Schema validators', async function () {
+            const adapter = {
+                validate: async (value) => typeof value.id === 'number'
+                    ? { value: { ...value, validated: true } }
+                    : { issues: [{ path: ['id'], message: 'expected a number' }] },
+            };
+            expect(await ResponsePlus.from({ id: 1 }).any({ schema: adapter })).to.deep.equal({ id: 1, validated: true });
+
+            const standard = { '~standard': { version: 1, vendor: 'test', validate: () => ({ issues: [{ path: [{ key: 'items' }, { key: 0 }], message: 'Invalid item' }] }) } };
+            const error = await ResponsePlus.from({ items: [null] }).any({ schema: standard }).catch((e) => e);
+            expect(error).to.be.instanceOf(ValidationError);
+            expect(error.message).to.equal('Validation failed at /items/0: Invalid item');
+        });
+
+        it('should validate fetchPlus results', async function () {
+            const transport = async () => ResponsePlus.from({ id: 'abc', tags: [] });
+            const error = await fetchPlus(url, { schema }, transport).catch((e) => e);
+            expect(error).to.be.instanceOf(ValidationError);
+            expect(error.issues).to.deep.equal([{ path: ['id'], message: 'must be of type "integer"' }]);
+        });
+    });
+
+    describe('Event Streams', function () {
+        const streamOf = (...chunks) => new ReadableStream({
+            start(controller) {
+                for (const chunk of chunks) controller.enqueue(new TextEncoder().encode(chunk));
+                controller.close();
+            },
+        });
+        const collect = async (iterable) => {
+            const events = [];
+            for await (const event of iterable) events.push(event);
+            return events;
+        };
+
+        it('should parse server-sent events across chunk boundaries', async function () {
+            const res = new ResponsePlus(streamOf(
+                '\uFEFF: comment\r\ndata: first\r',
+                '\ndata:second line\n\nevent: update\nid: 42\nretry: 1500\ndata: {"a":1}\n\n',
+                'retry: invalid\nid\ndata\n\n',
+                'data: unterminated',
+            ), { headers: { 'Content-Type': 'text/event-stream' } });
+
+            expect(await collect(res.events())).to.deep.equal([
+                { event: 'message', data: 'first\nsecond line', id: '', retry: null },
+                { event: 'update', data: '{"a":1}', id: '42', retry: 1500 },
+                { event: 'message', data: '', id: '', retry: 1500 },
+            ]);
+        });
+
+        it('should read event streams through any()', async function () {
+            const res = new ResponsePlus(streamOf('data: hello\n\n'), { headers: { 'Content-Type': 'text/event-stream' } });
+            expect(await collect(await res.clone().any({ to: 'events' }))).to.deep.equal([{ event: 'message', data: 'hello', id: '', retry: null }]);
+            // Only on request: auto-detection reads event streams as text
+            expect(await res.any()).to.equal('data: hello\n\n');
+
+            const req = new RequestPlus('http://example.com/', { method: 'POST', body: 'event: ping\ndata: 1\n\n' });
+            expect(await collect(await req.any({ to: 'events' }))).to.deep.equal([{ event: 'ping', data: '1', id: '', retry: null }]);
+        });
+    });
+
+    describe('NDJSON Streams', function () {
+        const collect = async (iterable) => {
+            const items = [];
+            for await (const item of iterable) items.push(item);
+            return items;
+        };
+
+        it('should encode generators as NDJSON and read them back', async function () {
+            let started = false;
+            const res = ResponsePlus.from((function* () {
+                started = true;
+                yield { level: 'info', msg: 'started' };
+                yield { level: 'error', msg: 'failed' };
+            })(), { headers: { 'Content-Type': 'application/x-ndjson' } });
+            expect(started).to.be.false;
+            expect(res.headers.get('Content-Type')).to.equal('application/x-ndjson');
+            expect(await collect(await res.any())).to.deep.equal([
+                { level: 'info', msg: 'started' },
+                { level: 'error', msg: 'failed' },
+            ]);
+
+            const explicit = ResponsePlus.from((async function* () { yield { a: 1 }; })(), { headers: { 'Content-Type': 'application/jsonl; charset=utf-8' } });
+            expect(await collect(explicit.iterate({ parse: 'ndjson' }))).to.deep.equal([{ a: 1 }]);
+        });
+
+        it('should infer the NDJSON content type from generators', async function () {
+            const text = ResponsePlus.from((function* () { yield 'Hello'; })());
+            expect(text.headers.get('Content-Type')).to.equal('application/octet-stream');
+            expect(await text.text()).to.equal('Hello');
+
+            const res = ResponsePlus.from((function* () { yield { a: 1 }; yield { b: 2 }; })());
+            expect(res.headers.get('Content-Type')).to.equal('application/x-ndjson');
+            expect(await collect(await res.any())).to.deep.equal([{ a: 1 }, { b: 2 }]);
+
+            // Async iterables aren't peeked at, but their JSON values are encoded all the same
+            const untyped = ResponsePlus.from((async function* () { yield { a: 1 }; yield { b: 2 }; })());
+            expect(untyped.headers.get('Content-Type')).to.equal('application/octet-stream');
+            expect(await untyped.text()).to.equal('{"a":1}\n{"b":2}\n');
+        });
+
+        it('should iterate bodies as bytes, text lines and NDJSON', async function () {
+            const body = '{"a":1}\r\n\n{"b":[2,"é"]}';
+            const bytes = await collect(new ResponsePlus(body).iterate());
+            expect(new TextDecoder().decode(bytes[0])).to.equal(body);
+            expect(await collect(new ResponsePlus(body).iterate({ parse: 'text-lines' }))).to.deep.equal(['{"a":1}', '', '{"b":[2,"é"]}']);
+            expect(await collect(new ResponsePlus(body).iterate({ parse: 'ndjson' }))).to.deep.equal([{ a: 1 }, { b: [2, 'é'] }]);
+            expect(await collect(new ResponsePlus(null).iterate({ parse: 'ndjson' }))).to.deep.equal([]);
+
+            const error = await collect(new ResponsePlus('{"a":1}\n{oops}\n').iterate({ parse: 'ndjson' })).catch((e) => e);
+            expect(error.message).to.match(/^Invalid NDJSON at line 2:/);
+            expect(() => new ResponsePlus(body).iterate({ parse: 'csv' })).to.throw(/Invalid parse type/);
+        });
+
+        it('should validate NDJSON items against a schema', async function () {
+            const res = new ResponsePlus('{"id":1}\n{"id":"2"}\n', { headers: { 'Content-Type': 'application/x-ndjson' } });
+            const items = [];
+            const error = await (async () => {
+                for await (const item of await res.any({ schema: { properties: { id: { type: 'integer' } } } })) items.push(item);
+            })().catch((e) => e);
+            expect(items).to.deep.equal([{ id: 1 }]);
+            expect(error).to.be.instanceOf(ValidationError);
+        });
+    });
+
+    describe('Byte Ranges', function () {
+        const url = 'http://example.com/media';
+        const data = new TextEncoder().encode('0123456789abcdefghij');
+        const requestFor = (range, headers = {}) => new RequestPlus(url, { headers: { 'Range': range, ...headers } });
+        const collect = async (iterable) => {
+            const parts = [];
+            for await (const { range, total, blob } of iterable) parts.push([range, total, blob.type, await blob.text()]);
+            return parts;
+        };
+
+        it('should serve single ranges as 206 and full bodies otherwise', async function () {
+            const res = ResponsePlus.fromRange(requestFor('bytes=-5'), data, { headers: { 'Content-Type': 'video/mp4', 'ETag': '"v1"' } });
+            expect(res.status).to.equal(206);
+            expect(res.headers.get('Content-Range')).to.equal('bytes 15-19/20');
+            expect(res.headers.get('Content-Length')).to.equal('5');
+            expect(res.headers.get('Content-Type')).to.equal('video/mp4');
+            expect(res.headers.get('ETag')).to.equal('"v1"');
+            expect(await res.text()).to.equal('fghij');
+
+            const full = ResponsePlus.fromRange(new RequestPlus(url), new Blob([data], { type: 'video/mp4' }));
+            expect(full.status).to.equal(200);
+            expect(full.headers.get('Accept-Ranges')).to.equal('bytes');
+            expect(full.headers.get('Content-Type')).to.equal('video/mp4');
+            expect(await full.text()).to.equal('0123456789abcdefghij');
+
+            // Stale If-Range validators, and other units, get the full body
+            expect(ResponsePlus.fromRange(requestFor('bytes=0-4', { 'If-Range': '"v0"' }), data, { headers: { 'ETag': '"v1"' } }).status).to.equal(200);
+            expect(ResponsePlus.fromRange(requestFor('bytes=0-4', { 'If-Range': '"v1"' }), data, { headers: { 'ETag': '"v1"' } }).status).to.equal(206);
+            expect(ResponsePlus.fromRange(requestFor('items=0-4'), data).status).to.equal(200);
+        });
+
+        it('should serve multiple ranges as multipart/byteranges', async function () {
+            const res = ResponsePlus.fromRange(requestFor('bytes=0-2, 10-12, 18-'), data, { headers: { 'Content-Type': 'text/plain' } });
+            expect(res.status).to.equal(206);
+            expect(res.headers.get('Content-Type')).to.match(/^multipart\/byteranges; boundary=\w+$/);
+            expect(res.headers.has('Content-Range')).to.be.false;
+            expect(parseInt(res.headers.get('Content-Length'), 10)).to.equal((await res.clone().arrayBuffer()).byteLength);
+
+            expect(await collect(res.byteRanges())).to.deep.equal([
+                [[0, 2], 20, 'text/plain', '012'],
+                [[10, 12], 20, 'text/plain', 'abc'],
+                [[18, 19], 20, 'text/plain', 'ij'],
+            ]);
+        });
+
+        it('should merge overlapping ranges and ignore too many', async function () {
+            const res = ResponsePlus.fromRange(requestFor('bytes=0-, 0-, 0-, 5-9'), data);
+            expect(res.status).to.equal(206);
+            expect(res.headers.get('Content-Range')).to.equal('bytes 0-19/20');
+            expect(res.headers.get('Content-Length')).to.equal('20');
+
+            const merged = ResponsePlus.fromRange(requestFor('bytes=10-12, 0-2, 3-4, 11-14'), data);
+            expect((await collect(merged.byteRanges())).map(([range]) => range)).to.deep.equal([[0, 4], [10, 14]]);
+
+            const ranges = Array.from({ length: 10 }, (_, i) => `${i * 2}-${i * 2}`).join(', ');
+            expect(ResponsePlus.fromRange(requestFor(`bytes=${ranges}`), data).status).to.equal(206);
+            const full = ResponsePlus.fromRange(requestFor(`bytes=${ranges}`), data, { maxRanges: 4 });
+            expect(full.status).to.equal(200);
+            expect(await full.text()).to.equal('0123456789abcdefghij');
+        });
+
+        it('should respond 416 to unsatisfiable ranges', async function () {
+            const res = ResponsePlus.fromRange(requestFor('bytes=20-30, 5-2'), data);
+            expect(res.status).to.equal(416);
+            expect(res.headers.get('Content-Range')).to.equal('bytes */20');
+            const error = await collect(res.byteRanges()).catch((e) => e);
+            expect(error.message).to.equal('Expected a 206 or 200 response; got 416');
+        });
+
+        it('should parse byteranges responses split across chunks', async function () {
+            const body = '--xyz\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-4/*\r\n\r\nhe\r\nl\r\n--xyz\r\ncontent-range: bytes 7-8/9\r\n\r\n--\r\n--xyz--';
+            const chunks = [...new TextEncoder().encode(body)].map((byte) => new Uint8Array([byte]));
+            const stream = new ReadableStream({ pull(controller) { chunks.length ? controller.enqueue(chunks.shift()) : controller.close(); } });
+            const res = new ResponsePlus(stream, { status: 206, headers: { 'Content-Type': 'multipart/byteranges; boundary="xyz"' } });
+            expect(await collect(res.byteRanges())).to.deep.equal([
+                [[0, 4], null, 'text/plain', 'he\r\nl'],
+                [[7, 8], 9, '', '--'],
+            ]);
+
+            const single = new ResponsePlus('abc', { status: 206, headers: { 'Content-Range': 'bytes 3-5/10' } });
+            expect(await collect(single.byteRanges())).to.deep.equal([[[3, 5], 10, 'text/plain;charset=utf-8', 'abc']]);
+        });
+    });
+
+    describe('Conditional Requests', function () {
+        const url = 'http://example.com/doc';
+        const lastModified = 'Tue, 20 Apr 2021 02:07:55 GMT';
+        const validators = { etag: '"v2"', lastModified };
+        const evaluate = (headers, method = 'GET', $validators = validators) => new RequestPlus(url, { method, headers }).evaluatePreconditions($validators);
+
+        it('should evaluate If-Match and If-Unmodified-Since', function () {
+            expect(evaluate({ 'If-Match': '"v1", "v2"' }, 'PUT')).to.equal('proceed');
+            expect(evaluate({ 'If-Match': 'W/"v2"' }, 'PUT')).to.equal(412);
+            expect(evaluate({ 'If-Match': '*' }, 'PUT')).to.equal('proceed');
+            expect(evaluate({ 'If-Match': '*' }, 'PUT', { exists: false })).to.equal(412);
+            expect(evaluate({ 'If-Unmodified-Since': 'Mon, 19 Apr 2021 00:00:00 GMT' }, 'DELETE')).to.equal(412);
+            expect(evaluate({ 'If-Unmodified-Since': lastModified }, 'DELETE')).to.equal('proceed');
+            // If-Match takes precedence
+            expect(evaluate({ 'If-Match': '"v2"', 'If-Unmodified-Since': 'Mon, 19 Apr 2021 00:00:00 GMT' }, 'PUT')).to.equal('proceed');
+        });
+
+        it('should evaluate If-None-Match and If-Modified-Since', function () {
+            expect(evaluate({ 'If-None-Match': 'W/"v2"' })).to.equal(304);
+            expect(evaluate({ 'If-None-Match': '"v1"' })).to.equal('proceed');
+            expect(evaluate({ 'If-None-Match': '"v2"' }, 'POST')).to.equal(412);
+            expect(evaluate({ 'If-None-Match': '*' }, 'PUT', { exists: false })).to.equal('proceed');
+            expect(evaluate({ 'If-Modified-Since': lastModified })).to.equal(304);
+            expect(evaluate({ 'If-Modified-Since': 'Mon, 19 Apr 2021 00:00:00 GMT' })).to.equal('proceed');
+            expect(evaluate({ 'If-Modified-Since': 'invalid' })).to.equal('proceed');
+            // If-None-Match takes precedence, and preconditions fail before they're not-modified
+            expect(evaluate({ 'If-None-Match': '"v1"', 'If-Modified-Since': lastModified })).to.equal('proceed');
+            expect(evaluate({ 'If-Match': '"v1"', 'If-None-Match': '"v2"' })).to.equal(412);
+            expect(evaluate({ 'If-None-Match': '"v2"' }, 'GET', { etag: 'v2', lastModified: new Date(lastModified) })).to.equal(304);
+        });
+
+        it('should apply If-Range to byte ranges with strong validators only', function () {
+            const data = new Uint8Array(10);
+            const respond = (ifRange, headers) => ResponsePlus.fromRange(new RequestPlus(url, { headers: { 'Range': 'bytes=0-4', 'If-Range': ifRange } }), data, { headers }).status;
+            expect(respond(lastModified, { 'Last-Modified': lastModified })).to.equal(206);
+            expect(respond('Mon, 19 Apr 2021 00:00:00 GMT', { 'Last-Modified': lastModified })).to.equal(200);
+            expect(respond('W/"v2"', { 'ETag': 'W/"v2"' })).to.equal(200);
+        });
+
+        it('should create 304 responses with the validator headers', function () {
+            const full = new ResponsePlus('content', { headers: { 'ETag': '"v2"', 'Last-Modified': lastModified, 'Cache-Control': 'max-age=60', 'Vary': 'Accept', 'Content-Type': 'text/plain' } });
+            const res = ResponsePlus.notModified(full);
+            expect(res.status).to.equal(304);
+            expect(res.body).to.be.null;
+            expect([...res.headers.keys()]).to.deep.equal(['cache-control', 'etag', 'vary']);
+
+            const res2 = ResponsePlus.notModified({ lastModified: new Date(lastModified), headers: { 'Cache-Control': 'no-cache' } });
+            expect(res2.headers.get('Last-Modified')).to.equal(lastModified);
+            expect(res2.headers.get('Cache-Control')).to.equal('no-cache');
+            expect(ResponsePlus.notModified({ etag: 'v2' }).headers.get('ETag')).to.equal('"v2"');
+        });
+    });
+
+    describe('Content Negotiation', function () {
+        const negotiate = (headers, offers) => new RequestPlus('http://example.com/', { headers }).negotiate(offers);
+
+        it('should select media types by quality and specificity', function () {
+            const type = ['text/html', 'application/json', 'text/plain'];
+            expect(negotiate({ 'Accept': 'text/*;q=0.5, application/json;q=0.8' }, { type })).to.deep.equal({ type: 'application/json', vary: 'Accept' });
+            expect(negotiate({ 'Accept': 'text/*, text/html;q=0' }, { type })).to.deep.equal({ type: 'text/plain', vary: 'Accept' });
+            expect(negotiate({ 'Accept': 'text/*, application/json' }, { type }).type).to.equal('application/json');
+            expect(negotiate({ 'Accept': 'image/*' }, { type }).type).to.be.null;
+            expect(negotiate({}, { type }).type).to.equal('text/html');
+
+            const versions = ['application/vnd.api+json; version=1', 'application/vnd.api+json; version=2'];
+            expect(negotiate({ 'Accept': 'application/vnd.api+json;version="2";q=0.9;ext=1, */*;q=0.1' }, { type: versions }).type).to.equal(versions[1]);
+        });
+
+        it('should select languages with language-range prefix matching', function () {
+            const language = ['en', 'en-GB', 'fr-CA'];
+            expect(negotiate({ 'Accept-Language': 'fr, en;q=0.8' }, { language }).language).to.equal('fr-CA');
+            expect(negotiate({ 'Accept-Language': 'en-GB, en;q=0.5' }, { language }).language).to.equal('en-GB');
+            expect(negotiate({ 'Accept-Language': 'en-US, de;q=0.9' }, { language }).language).to.equal('en');
+            expect(negotiate({ 'Accept-Language': 'de, *;q=0.1, en;q=0' }, { language }).language).to.equal('fr-CA');
+        });
+
+        it('should select encodings with the identity and "*" rules', function () {
+            const encoding = ['br', 'gzip', 'identity'];
+            expect(negotiate({ 'Accept-Encoding': 'gzip, br;q=0.9' }, { encoding }).encoding).to.equal('gzip');
+            expect(negotiate({ 'Accept-Encoding': 'deflate' }, { encoding }).encoding).to.equal('identity');
+            expect(negotiate({ 'Accept-Encoding': '' }, { encoding }).encoding).to.equal('identity');
+            expect(negotiate({ 'Accept-Encoding': 'deflate, *;q=0' }, { encoding }).encoding).to.be.null;
+            expect(negotiate({ 'Accept-Encoding': 'deflate, identity;q=0' }, { encoding }).encoding).to.be.null;
+            expect(negotiate({ 'Accept-Encoding': '*' }, { encoding }).encoding).to.equal('br');
+        });
+
+        it('should negotiate several dimensions with their Vary header', function () {
+            const result = negotiate({ 'Accept': 'application/json', 'Accept-Charset': 'iso-8859-1, utf-8;q=0.9', 'Accept-Language': 'fr' }, {
+                type: ['text/html', 'application/json'],
+                language: ['en', 'fr'],
+                charset: ['UTF-8', 'ISO-8859-1'],
+            });
+            expect(result).to.deep.equal({ type: 'application/json', language: 'fr', charset: 'ISO-8859-1', vary: 'Accept, Accept-Language, Accept-Charset' });
+        });
+    });
+
     describe('FormDataPlus', function () {
         it('should convert FormData to JSON', async function () {
             const fd = new FormDataPlus();
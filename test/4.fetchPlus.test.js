@@ -0,0 +1,969 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+chai.use(chaiAsPromised);
+import { RequestPlus } from '../src/RequestPlus.js';
+import { ResponsePlus } from '../src/ResponsePlus.js';
+import { LiveResponse } from '../src/LiveResponse.js';
+import { fetchPlus } from '../src/fetchPlus.js';
+import { parseRetryAfter } from '../src/retryMiddleware.js';
+import { TimeoutError } from '../src/TimeoutError.js';
+import { HttpError } from '../src/HttpError.js';
+import { RequestQueue, parseRateLimit } from '../src/RequestQueue.js';
+import { CookieJar } from '../src/CookieJar.js';
+
+describe('fetchPlus Tests', function () {
+
+    describe('Middleware', function () {
+        it('should run layers in order with a RequestPlus and a next()', async function () {
+            const sequence = [];
+            const transport = async (request) => {
+                sequence.push(`fetch ${request.headers.get('Authorization')}`);
+                return new Response('ok');
+            };
+
+            const res = await fetchPlus('http://mock.url', {
+                use: [
+                    async (request, next) => {
+                        expect(request).to.be.instanceOf(RequestPlus);
+                        sequence.push('a:before');
+                        const response = await next();
+                        sequence.push('a:after');
+                        return response;
+                    },
+                    async (request, next) => {
+                        sequence.push('b:before');
+                        request.headers.set('Authorization', 'Bearer token');
+                        const response = await next(request);
+                        sequence.push('b:after');
+                        response.headers.set('X-Processed', 'true');
+                        return response;
+                    },
+                ],
+            }, transport);
+
+            expect(sequence).to.deep.equal(['a:before', 'b:before', 'fetch Bearer token', 'b:after', 'a:after']);
+            expect(res).to.be.instanceOf(ResponsePlus);
+            expect(res.headers.get('X-Processed')).to.equal('true');
+        });
+
+        it('should allow layers to rewrite the request and short-circuit the response', async function () {
+            let fetched = 0;
+            const transport = async (request) => (fetched++, new Response(request.url));
+
+            const rewrite = (request, next) => next(new Request('http://rewritten.url/', request));
+            const res1 = await fetchPlus('http://mock.url', { use: [rewrite] }, transport);
+            expect(await res1.text()).to.equal('http://rewritten.url/');
+
+            const shortCircuit = () => ResponsePlus.from({ cached: true });
+            const res2 = await fetchPlus('http://mock.url', { use: [shortCircuit] }, transport);
+            expect(await res2.any()).to.deep.equal({ cached: true });
+            expect(fetched).to.equal(1);
+
+            const invalid = () => ({ cached: true });
+            await expect(fetchPlus('http://mock.url', { use: [invalid] }, transport)).to.be.rejectedWith(/must resolve to a Response/);
+        });
+
+        it('should wrap the pipeline result in a LiveResponse for live fetches', async function () {
+            let acceptLive;
+            const transport = async (request) => (acceptLive = request.headers.get('X-Accept-Live'), new Response('ok'));
+
+            const res = await fetchPlus('http://mock.url', { live: true, use: [(request, next) => next()] }, transport);
+            expect(acceptLive).to.equal('*');
+            expect(res).to.be.instanceOf(LiveResponse);
+            expect((await res.readyStateChange('live')).body).to.equal('ok');
+        });
+
+        it('should create instances that prepend their own layers', async function () {
+            const sequence = [];
+            const transport = async (request) => new Response(request.headers.get('X-Client'));
+
+            const client = fetchPlus.create({
+                headers: { 'X-Client': 'base' },
+                use: [(request, next) => (sequence.push('instance'), next())],
+            }, transport);
+            const derived = client.create({ headers: { 'X-Client': 'derived' } });
+
+            const res1 = await client('http://mock.url', { use: [(request, next) => (sequence.push('call'), next())] });
+            expect(await res1.text()).to.equal('base');
+            expect(sequence).to.deep.equal(['instance', 'call']);
+
+            const res2 = await derived('http://mock.url');
+            expect(await res2.text()).to.equal('derived');
+            expect(sequence).to.deep.equal(['instance', 'call', 'instance']);
+        });
+    });
+
+    describe('Retry', function () {
+        it('should retry network errors and retryable statuses, re-sending the body', async function () {
+            const bodies = [];
+            let attempts = 0;
+            const transport = async (request) => {
+                bodies.push(await request.text());
+                attempts++;
+                if (attempts === 1) throw new TypeError('fetch failed');
+                if (attempts === 2) return new Response('busy', { status: 503, headers: { 'Retry-After': '0' } });
+                return new Response('ok');
+            };
+
+            const res = await fetchPlus('http://mock.url', {
+                method: 'PUT',
+                body: 'payload',
+                retry: { limit: 3, delay: 1 },
+            }, transport);
+
+            expect(await res.text()).to.equal('ok');
+            expect(bodies).to.deep.equal(['payload', 'payload', 'payload']);
+        });
+
+        it('should give up after the retry limit and return the last response', async function () {
+            let attempts = 0;
+            const transport = async () => (attempts++, new Response(null, { status: 500 }));
+
+            const res = await fetchPlus('http://mock.url', { retry: { limit: 2, delay: 1 } }, transport);
+            expect(res.status).to.equal(500);
+            expect(attempts).to.equal(3);
+        });
+
+        it('should only retry non-idempotent methods with an Idempotency-Key', async function () {
+            let attempts = 0;
+            const transport = async () => (attempts++, new Response(null, { status: 503 }));
+
+            await fetchPlus('http://mock.url', { method: 'POST', body: 'a', retry: { limit: 1, delay: 1 } }, transport);
+            expect(attempts).to.equal(1);
+
+            await fetchPlus('http://mock.url', {
+                method: 'POST',
+                body: 'a',
+                headers: { 'Idempotency-Key': 'abc' },
+                retry: { limit: 1, delay: 1 },
+            }, transport);
+            expect(attempts).to.equal(3);
+        });
+
+        it('should not wait longer than maxRetryAfter for Retry-After', async function () {
+            let attempts = 0;
+            const transport = async () => (attempts++, new Response('busy', { status: 503, headers: { 'Retry-After': '60' } }));
+
+            const res = await fetchPlus('http://mock.url', { retry: { limit: 2, delay: 1, maxDelay: 1000 } }, transport);
+            expect(res.status).to.equal(503);
+            expect(await res.text()).to.equal('busy');
+            expect(attempts).to.equal(1);
+
+            // Retried when allowed, with the wait cut short by aborting
+            const controller = new AbortController;
+            const delays = [];
+            const onRetry = ({ delay }) => (delays.push(delay), controller.abort());
+            const retry = { limit: 1, delay: 1, maxDelay: 1000, maxRetryAfter: 60000, onRetry };
+            const error = await fetchPlus('http://mock.url', { retry, signal: controller.signal }, transport).catch((e) => e);
+            expect(error.name).to.equal('AbortError');
+            expect(delays).to.deep.equal([60000]);
+        });
+
+        it('should parse both forms of the Retry-After header', function () {
+            expect(parseRetryAfter('120')).to.equal(120000);
+            const delay = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+            expect(delay).to.be.within(58000, 60000);
+            expect(parseRetryAfter(new Date(Date.now() - 60000).toUTCString())).to.equal(0);
+            expect(parseRetryAfter('soon')).to.equal(null);
+        });
+    });
+
+    describe('Timeouts', function () {
+        const stalledBody = (...chunks) => new ReadableStream({
+            start(controller) {
+                for (const chunk of chunks) controller.enqueue(new TextEncoder().encode(chunk));
+            }
+        });
+
+        it('should time out in the "headers" phase', async function () {
+            const transport = (request) => new Promise(() => { });
+            const promise = fetchPlus('http://mock.url', { headersTimeout: 20 }, transport);
+            await expect(promise).to.be.rejectedWith(TimeoutError).and.eventually.have.property('phase', 'headers');
+        });
+
+        it('should time out in the "idle" and "total" phases while reading the body', async function () {
+            const transport = async () => new Response(stalledBody('chunk1'));
+
+            const res1 = await fetchPlus('http://mock.url', { idleTimeout: 20 }, transport);
+            await expect(res1.text()).to.be.rejectedWith(TimeoutError).and.eventually.have.property('phase', 'idle');
+
+            const res2 = await fetchPlus('http://mock.url', { timeout: 20, idleTimeout: 1000 }, transport);
+            await expect(res2.text()).to.be.rejectedWith(TimeoutError).and.eventually.have.property('phase', 'total');
+        });
+
+        it('should leave completed responses intact', async function () {
+            const transport = async () => new Response('ok', { status: 201, headers: { 'X-Custom': 'yes' } });
+            const res = await fetchPlus('http://mock.url', { timeout: 1000, idleTimeout: 1000 }, transport);
+            expect(res).to.be.instanceOf(ResponsePlus);
+            expect(res.status).to.equal(201);
+            expect(res.headers.get('X-Custom')).to.equal('yes');
+            expect(await res.text()).to.equal('ok');
+        });
+
+        it('should compose with a caller-supplied signal', async function () {
+            const transport = (request) => new Promise(() => { });
+            const controller = new AbortController;
+            const promise = fetchPlus('http://mock.url', { signal: controller.signal, timeout: 1000 }, transport);
+            controller.abort(new Error('Cancelled by caller'));
+            await expect(promise).to.be.rejectedWith(/Cancelled by caller/);
+        });
+
+        it('should bound the handshake of live fetches', async function () {
+            const transport = async () => new Response(stalledBody(), { headers: { 'Content-Type': 'text/plain' } });
+            const promise = fetchPlus('http://mock.url', { live: true, timeout: 20 }, transport);
+            await expect(promise).to.be.rejectedWith(TimeoutError);
+
+            const error = await fetchPlus('http://mock.url', { live: true, headersTimeout: 20 }, transport).catch((e) => e);
+            expect(error).to.be.instanceOf(TimeoutError);
+            expect(error).to.include({ phase: 'handshake', timeout: 20 });
+        });
+    });
+
+    describe('Deduplication', function () {
+        it('should share one request between identical in-flight GETs', async function () {
+            let fetched = 0;
+            const transport = async (request) => {
+                fetched++;
+                await new Promise((r) => setTimeout(r, 10));
+                return new Response(JSON.stringify({ n: fetched }), { headers: { 'Content-Type': 'application/json' } });
+            };
+
+            const [res1, res2, res3] = await Promise.all([
+                fetchPlus('http://mock.url/a', { dedupe: true }, transport),
+                fetchPlus('http://mock.url/a', { dedupe: true }, transport),
+                fetchPlus('http://mock.url/a', { dedupe: true }, transport),
+            ]);
+
+            expect(fetched).to.equal(1);
+            expect(res2).to.be.instanceOf(ResponsePlus);
+            expect(await res1.any()).to.deep.equal({ n: 1 });
+            expect(await res2.any()).to.deep.equal({ n: 1 });
+            expect(await res3.any()).to.deep.equal({ n: 1 });
+
+            // No longer in-flight
+            await fetchPlus('http://mock.url/a', { dedupe: true }, transport);
+            expect(fetched).to.equal(2);
+        });
+
+        it('should not share responses across differing Vary headers or methods', async function () {
+            let fetched = 0;
+            const transport = async (request) => {
+                fetched++;
+                await new Promise((r) => setTimeout(r, 10));
+                return new Response(request.headers.get('Accept-Language'), { headers: { 'Vary': 'Accept-Language' } });
+            };
+
+            const [res1, res2, res3] = await Promise.all([
+                fetchPlus('http://mock.url/b', { dedupe: true, headers: { 'Accept-Language': 'en' } }, transport),
+                fetchPlus('http://mock.url/b', { dedupe: true, headers: { 'Accept-Language': 'en' } }, transport),
+                fetchPlus('http://mock.url/b', { dedupe: true, headers: { 'Accept-Language': 'fr' } }, transport),
+            ]);
+            expect(fetched).to.equal(2);
+            expect([await res1.text(), await res2.text(), await res3.text()]).to.deep.equal(['en', 'en', 'fr']);
+
+            await Promise.all([
+                fetchPlus('http://mock.url/b', { dedupe: true, method: 'POST' }, transport),
+                fetchPlus('http://mock.url/b', { dedupe: true, method: 'POST' }, transport),
+            ]);
+            expect(fetched).to.equal(4);
+        });
+
+        it('should not share responses across credentials or cookie jars', async function () {
+            let fetched = 0;
+            const transport = async (request) => {
+                fetched++;
+                await new Promise((r) => setTimeout(r, 10));
+                return new Response(request.headers.get('Authorization') || request.headers.get('Cookie'));
+            };
+
+            const [alice, bob] = await Promise.all([
+                fetchPlus('http://mock.url/me', { dedupe: true, headers: { 'Authorization': 'Bearer alice' } }, transport),
+                fetchPlus('http://mock.url/me', { dedupe: true, headers: { 'Authorization': 'Bearer bob' } }, transport),
+            ]);
+            expect(fetched).to.equal(2);
+            expect([await alice.text(), await bob.text()]).to.deep.equal(['Bearer alice', 'Bearer bob']);
+
+            const jar1 = new CookieJar, jar2 = new CookieJar;
+            jar1.ingest(new Response(null, { headers: { 'Set-Cookie': 'session=alice' } }), 'http://mock.url/');
+            jar2.ingest(new Response(null, { headers: { 'Set-Cookie': 'session=bob' } }), 'http://mock.url/');
+            const [res1, res2] = await Promise.all([
+                fetchPlus('http://mock.url/me', { dedupe: true, cookieJar: jar1 }, transport),
+                fetchPlus('http://mock.url/me', { dedupe: true, cookieJar: jar2 }, transport),
+            ]);
+            expect(fetched).to.equal(4);
+            expect([await res1.text(), await res2.text()]).to.deep.equal(['session=alice', 'session=bob']);
+        });
+
+        it('should carry the memo cache over to the shared clones', async function () {
+            const transport = async () => {
+                await new Promise((r) => setTimeout(r, 10));
+                return ResponsePlus.from('Hello World', { memoize: true });
+            };
+
+            const [res1, res2] = await Promise.all([
+                fetchPlus('http://mock.url/c', { dedupe: true }, transport),
+                fetchPlus('http://mock.url/c', { dedupe: true }, transport),
+            ]);
+            expect(await res1.any({ to: 'text', memo: true })).to.equal('Hello World');
+            expect(await res2.any({ to: 'text', memo: true })).to.equal('Hello World');
+            expect(res2.bodyUsed).to.be.false; // Served from the memo cache
+        });
+
+        it('should drop aborted waiters', async function () {
+            let clones = 0;
+            const transport = async () => {
+                await new Promise((r) => setTimeout(r, 10));
+                const response = new Response('shared');
+                const clone = response.clone;
+                response.clone = function () { clones++; return clone.call(this); };
+                return response;
+            };
+
+            const controller = new AbortController;
+            setTimeout(() => controller.abort(new Error('Cancelled by caller')), 5);
+            const [res1, res2, error] = await Promise.all([
+                fetchPlus('http://mock.url/d', { dedupe: true }, transport),
+                fetchPlus('http://mock.url/d', { dedupe: true }, transport),
+                fetchPlus('http://mock.url/d', { dedupe: true, signal: controller.signal }, transport).catch((e) => e),
+            ]);
+            expect(error.message).to.equal('Cancelled by caller');
+            expect(await res1.text()).to.equal('shared');
+            expect(await res2.text()).to.equal('shared');
+            expect(clones).to.equal(1);
+        });
+    });
+
+    describe('Client Instances', function () {
+        it('should resolve URLs against the base URL and serialize query objects', async function () {
+            const urls = [];
+            const transport = async (request) => (urls.push(request.url), new Response('ok'));
+            const client = fetchPlus.create({ baseURL: 'http://api.mock.url/v1/', query: { lang: 'en' } }, transport);
+
+            await client('/users', { query: { page: 2, filter: { role: 'admin', tags: ['a', 'b'] } } });
+            await client('users?sort=name#top');
+            await client('http://other.url/path');
+            await client('//cdn.mock.url/a.js');
+
+            expect(urls[0]).to.equal('http://api.mock.url/v1/users?lang=en&page=2&filter%5Brole%5D=admin&filter%5Btags%5D%5B0%5D=a&filter%5Btags%5D%5B1%5D=b');
+            expect(urls[1]).to.equal('http://api.mock.url/v1/users?sort=name&lang=en#top');
+            expect(urls[2]).to.equal('http://other.url/path?lang=en');
+            expect(urls[3]).to.equal('http://cdn.mock.url/a.js?lang=en');
+        });
+
+        it('should merge default headers with structured inputs', async function () {
+            let headers;
+            const transport = async (request) => (headers = request.headers, new Response('ok'));
+            const client = fetchPlus.create({
+                credentials: 'include',
+                headers: {
+                    'Cookie': [{ name: 'session', value: '123' }, { name: 'theme', value: 'dark' }],
+                    'Accept': [['application/json', 1], ['text/plain', 0.5]],
+                    'X-Client': 'base',
+                },
+            }, transport);
+
+            await client('http://mock.url', { headers: { 'X-Client': 'override' } });
+            expect(headers.get('Cookie')).to.equal('session=123; theme=dark');
+            expect(headers.get('Accept')).to.equal('application/json,text/plain;q=0.5');
+            expect(headers.get('X-Client')).to.equal('override');
+        });
+
+        it('should merge headers given as arrays of pairs', async function () {
+            let headers;
+            const transport = async (request) => (headers = request.headers, new Response('ok'));
+            const client = fetchPlus.create({ headers: [['X-A', '1'], ['X-Client', 'base']] }, transport);
+
+            await client('http://mock.url', { headers: new Map([['X-Client', 'override']]) });
+            expect(headers.get('X-A')).to.equal('1');
+            expect(headers.get('X-Client')).to.equal('override');
+            expect(headers.has('0')).to.be.false;
+
+            await fetchPlus('http://mock.url', { headers: [['X-B', '2']] }, transport);
+            expect([...headers.keys()]).to.deep.equal(['x-b']);
+        });
+
+        it('should provide method helpers', async function () {
+            const requests = [];
+            const transport = async (request) => (requests.push([request.method, await request.text()]), new Response('ok'));
+            const client = fetchPlus.create({ baseURL: 'http://mock.url' }, transport);
+
+            await client.get('/items');
+            await client.delete('/items/1');
+            await client.post('/items', 'new item');
+            await client.put('/items/1', 'replaced item');
+            await client.patch('/items/1', 'patched item', { headers: { 'X-Patch': 'true' } });
+
+            expect(requests).to.deep.equal([
+                ['GET', ''],
+                ['DELETE', ''],
+                ['POST', 'new item'],
+                ['PUT', 'replaced item'],
+                ['PATCH', 'patched item'],
+            ]);
+        });
+    });
+
+    describe('Progress', function () {
+        it('should report upload and download progress', async function () {
+            const uploads = [], downloads = [];
+            const transport = async (request) => {
+                const text = await request.text();
+                return new Response(text.repeat(2), { headers: { 'Content-Length': String(text.length * 2) } });
+            };
+
+            const res = await fetchPlus('http://mock.url', {
+                method: 'POST',
+                body: 'hello world',
+                headers: { 'Content-Length': '11' },
+                onUploadProgress: (e) => uploads.push(e),
+                onDownloadProgress: (e) => downloads.push(e),
+            }, transport);
+            expect(await res.text()).to.equal('hello worldhello world');
+
+            expect(uploads[0]).to.deep.equal({ loaded: 0, total: 11, lengthComputable: true });
+            expect(uploads[uploads.length - 1]).to.deep.equal({ loaded: 11, total: 11, lengthComputable: true });
+            expect(downloads[0]).to.deep.equal({ loaded: 0, total: 22, lengthComputable: true });
+            expect(downloads[downloads.length - 1]).to.deep.equal({ loaded: 22, total: 22, lengthComputable: true });
+        });
+
+        it('should take the upload total from the body', async function () {
+            const transport = async (request) => new Response(await request.arrayBuffer());
+            for (const [body, total] of [[new Blob([new Uint8Array(100)]), 100], [new Uint8Array(64), 64], ['héllo', 6], [new URLSearchParams({ a: 'b' }), 3]]) {
+                const uploads = [];
+                const res = await fetchPlus('http://mock.url', { method: 'POST', body, onUploadProgress: (e) => uploads.push(e) }, transport);
+                expect((await res.arrayBuffer()).byteLength).to.equal(total);
+                expect(uploads[0]).to.deep.equal({ loaded: 0, total, lengthComputable: true });
+                expect(uploads[uploads.length - 1]).to.deep.equal({ loaded: total, total, lengthComputable: true });
+            }
+        });
+
+        it('should send the body whole where streamed uploads are rejected', async function () {
+            const uploads = [], attempts = [];
+            const transport = async (request) => {
+                attempts.push(request.url);
+                // Like HTTP/1.1 connections in Chrome: rejected before the body is read
+                if (attempts.length === 1) throw new TypeError('Failed to fetch');
+                return new Response(await request.text());
+            };
+
+            const res = await fetchPlus('http://mock.url', {
+                method: 'POST',
+                body: 'hello world',
+                headers: { 'Content-Length': '11' },
+                onUploadProgress: (e) => uploads.push(e),
+            }, transport);
+            expect(await res.text()).to.equal('hello world');
+            expect(attempts).to.have.lengthOf(2);
+            expect(uploads[uploads.length - 1]).to.deep.equal({ loaded: 11, total: 11, lengthComputable: true });
+
+            // Failures once the body is being read are not retried
+            const failing = async (request) => {
+                await request.text();
+                throw new TypeError('Connection reset');
+            };
+            await expect(fetchPlus('http://mock.url', { method: 'POST', body: 'hello world', onUploadProgress: () => { } }, failing)).to.be.rejectedWith(/Connection reset/);
+        });
+
+        it('should report an unknown total for encoded or unsized bodies', async function () {
+            const downloads = [];
+            const transport = async () => new Response('compressed', { headers: { 'Content-Encoding': 'gzip', 'Content-Length': '4' } });
+
+            const res = await fetchPlus('http://mock.url', { onDownloadProgress: (e) => downloads.push(e) }, transport);
+            await res.text();
+            expect(downloads[downloads.length - 1]).to.deep.equal({ loaded: 10, total: null, lengthComputable: false });
+        });
+    });
+
+    describe('Body Encoding', function () {
+        const echo = async (request) => new Response(await request.arrayBuffer(), {
+            headers: {
+                'Content-Type': request.headers.get('Content-Type'),
+                'X-Content-Length': request.headers.get('Content-Length') || '',
+            }
+        });
+
+        it('should encode plain objects as JSON', async function () {
+            const res = await fetchPlus('http://mock.url', { method: 'POST', body: { a: 1, b: [true, null] } }, echo);
+            expect(res.headers.get('Content-Type')).to.equal('application/json');
+            expect(res.headers.get('X-Content-Length')).to.equal('23');
+            expect(await res.any()).to.deep.equal({ a: 1, b: [true, null] });
+        });
+
+        it('should send other bodies as native fetch would', async function () {
+            const res1 = await fetchPlus('http://mock.url', { method: 'POST', body: new URLSearchParams({ a: '1', b: '2' }) }, echo);
+            expect(res1.headers.get('Content-Type')).to.equal('application/x-www-form-urlencoded;charset=UTF-8');
+            expect(await res1.text()).to.equal('a=1&b=2');
+
+            const res2 = await fetchPlus('http://mock.url', { method: 'POST', body: 'Hello World' }, echo);
+            expect(res2.headers.get('Content-Type')).to.equal('text/plain;charset=UTF-8');
+            expect(await res2.text()).to.equal('Hello World');
+
+            const res3 = await fetchPlus('http://mock.url', { method: 'POST', body: new DataView(new Uint8Array([1, 2, 3]).buffer) }, echo);
+            expect([...new Uint8Array(await res3.arrayBuffer())]).to.deep.equal([1, 2, 3]);
+
+            const req = RequestPlus.from('http://mock.url', { method: 'POST', body: new URLSearchParams({ a: '1' }) });
+            expect(await req.text()).to.equal('a=1');
+        });
+
+        it('should encode objects with complex data types as multipart FormData', async function () {
+            const body = { name: 'John Doe', avatar: new Blob(['imageBytes'], { type: 'image/png' }) };
+            const res = await fetchPlus('http://mock.url', { method: 'POST', body }, echo);
+            expect(res.headers.get('Content-Type')).to.include('multipart/form-data');
+
+            const fd = await res.any();
+            expect(fd.get('name')).to.equal('John Doe');
+            expect(await fd.get('avatar').text()).to.equal('imageBytes');
+        });
+
+        it('should stream generator bodies', async function () {
+            const body = (async function* () {
+                yield 'Hello ';
+                yield 'World';
+            })();
+            const res = await fetchPlus('http://mock.url', { method: 'POST', body }, echo);
+            expect(res.headers.get('Content-Type')).to.equal('application/octet-stream');
+            expect(await res.text()).to.equal('Hello World');
+
+            const syncBody = (function* () {
+                yield 'Hello ';
+                yield 'Sync';
+            })();
+            const res2 = await fetchPlus('http://mock.url', { method: 'POST', body: syncBody }, echo);
+            expect(await res2.text()).to.equal('Hello Sync');
+        });
+
+        it('should encode the bodies of client method helpers', async function () {
+            const client = fetchPlus.create({ baseURL: 'http://mock.url' }, echo);
+            const res = await client.post('/items', { name: 'item' });
+            expect(await res.any()).to.deep.equal({ name: 'item' });
+        });
+    });
+
+    describe('Parsed Results', function () {
+        const transport = async (request) => {
+            if (request.url.endsWith('/json')) return ResponsePlus.from({ a: 1 }, { status: 201 });
+            if (request.url.endsWith('/form')) return new Response(new URLSearchParams({ a: '1' }));
+            return new Response('Hello World', { headers: { 'Content-Type': 'text/plain' } });
+        };
+
+        it('should resolve to the decoded body', async function () {
+            expect(await fetchPlus('http://mock.url/json', { as: 'auto' }, transport)).to.deep.equal({ a: 1 });
+            expect(await fetchPlus('http://mock.url/text', { as: 'auto' }, transport)).to.equal('Hello World');
+            expect(await fetchPlus('http://mock.url/form', { as: 'json' }, transport)).to.deep.equal({ a: 1 });
+            expect(await fetchPlus('http://mock.url/json', { as: 'formData' }, transport)).to.be.instanceOf(FormData);
+            await expect(fetchPlus('http://mock.url/text', { as: 'json' }, transport)).to.be.rejectedWith(/Cannot convert body/);
+        });
+
+        it('should expose the underlying response', async function () {
+            const promise = fetchPlus('http://mock.url/json', { as: 'json' }, transport);
+            expect(await promise).to.deep.equal({ a: 1 });
+
+            const response = await promise.response;
+            expect(response).to.be.instanceOf(ResponsePlus);
+            expect(response.status).to.equal(201);
+            expect(await response.any({ memo: true })).to.deep.equal({ a: 1 });
+        });
+
+        it('should not support live responses', async function () {
+            await expect(fetchPlus('http://mock.url/json', { as: 'json', live: true }, transport)).to.be.rejectedWith(/not supported for live/);
+        });
+    });
+
+    describe('HTTP Errors', function () {
+        const transport = async (request) => {
+            if (request.url.endsWith('/problem')) {
+                return new Response(JSON.stringify({
+                    type: 'https://example.com/probs/out-of-credit',
+                    title: 'You do not have enough credit.',
+                    detail: 'Your current balance is 30, but that costs 50.',
+                    balance: 30,
+                }), { status: 403, headers: { 'Content-Type': 'application/problem+json' } });
+            }
+            if (request.url.endsWith('/error')) {
+                return new Response('Server exploded', { status: 500, statusText: 'Internal Server Error', headers: { 'Content-Type': 'text/plain' } });
+            }
+            return new Response('Not here', { status: 404 });
+        };
+
+        it('should resolve non-2xx responses by default', async function () {
+            const res = await fetchPlus('http://mock.url/error', {}, transport);
+            expect(res.status).to.equal(500);
+        });
+
+        it('should throw an HttpError carrying the response, request and a lazily decoded body', async function () {
+            const error = await fetchPlus('http://mock.url/error', { throwOnError: true }, transport).catch((e) => e);
+            expect(error).to.be.instanceOf(HttpError);
+            expect(error.message).to.equal('Request failed with status 500 (Internal Server Error)');
+            expect(error.status).to.equal(500);
+            expect(error.response).to.be.instanceOf(ResponsePlus);
+            expect(error.request).to.be.instanceOf(RequestPlus);
+            expect(error.request.url).to.equal('http://mock.url/error');
+            expect(error.response.bodyUsed).to.be.false;
+            expect(await error.body()).to.equal('Server exploded');
+            expect(await error.body()).to.equal('Server exploded');
+        });
+
+        it('should populate problem details from application/problem+json payloads', async function () {
+            const error = await fetchPlus('http://mock.url/problem', { throwOnError: true }, transport).catch((e) => e);
+            expect(error).to.be.instanceOf(HttpError);
+            expect(error.message).to.equal('You do not have enough credit.');
+            expect(error.type).to.equal('https://example.com/probs/out-of-credit');
+            expect(error.title).to.equal('You do not have enough credit.');
+            expect(error.detail).to.equal('Your current balance is 30, but that costs 50.');
+            expect(error.problem.balance).to.equal(30);
+            expect((await error.body()).balance).to.equal(30);
+        });
+
+        it('should accept a predicate over the status', async function () {
+            const throwOnError = (status) => status >= 500;
+            const res = await fetchPlus('http://mock.url/missing', { throwOnError }, transport);
+            expect(res.status).to.equal(404);
+            await expect(fetchPlus('http://mock.url/error', { throwOnError }, transport)).to.be.rejectedWith(HttpError);
+        });
+    });
+
+    describe('Soft Redirects', function () {
+        const soft = (code, location, headers = {}) => new Response(null, { headers: { 'X-Redirect-Code': code, 'Location': location, ...headers } });
+
+        it('should surface soft redirects on the response by default', async function () {
+            const transport = async () => soft(302, '/login');
+            const res = await fetchPlus('http://mock.url/account', {}, transport);
+            expect(res.status).to.equal(200);
+            expect(res.softRedirect).to.deep.equal({ code: 302, location: '/login' });
+        });
+
+        it('should follow soft redirects with method rewriting', async function () {
+            const requests = [];
+            const transport = async (request) => {
+                requests.push({ method: request.method, url: request.url, body: await request.text(), contentType: request.headers.get('Content-Type'), auth: request.headers.get('Authorization') });
+                const path = new URL(request.url).pathname;
+                if (path === '/303') return soft(303, '/302');
+                if (path === '/302') return soft(302, '/done');
+                if (path === '/307') return soft(307, '/308');
+                if (path === '/308') return soft(308, 'http://other.url/done');
+                return new Response(`${request.method} ${path}`);
+            };
+
+            const res1 = await fetchPlus('http://mock.url/303', { method: 'PUT', body: 'data', softRedirect: true }, transport);
+            expect(await res1.text()).to.equal('GET /done');
+            expect(res1.redirected).to.be.true;
+            expect(requests.map((r) => r.method)).to.deep.equal(['PUT', 'GET', 'GET']);
+            expect(requests[2]).to.include({ body: '', contentType: null });
+
+            requests.length = 0;
+            const res2 = await fetchPlus('http://mock.url/307', { method: 'POST', body: 'data', headers: { 'Authorization': 'Bearer x' }, softRedirect: true }, transport);
+            expect(await res2.text()).to.equal('POST /done');
+            expect(requests.map((r) => [r.method, r.body, r.auth])).to.deep.equal([
+                ['POST', 'data', 'Bearer x'],
+                ['POST', 'data', 'Bearer x'],
+                ['POST', 'data', null],
+            ]);
+        });
+
+        it('should detect loops and enforce the hop limit', async function () {
+            const loop = async (request) => soft(302, request.url.endsWith('/a') ? '/b' : '/a');
+            await expect(fetchPlus('http://mock.url/a', { softRedirect: true }, loop)).to.be.rejectedWith(/Soft redirect loop detected at http:\/\/mock.url\/a/);
+
+            let n = 0;
+            const chain = async () => soft(302, `/hop-${++n}`);
+            await expect(fetchPlus('http://mock.url/', { softRedirect: { limit: 3 } }, chain)).to.be.rejectedWith(/Maximum number of soft redirects \(3\) exceeded/);
+            expect(n).to.equal(4);
+        });
+
+        it('should hand soft redirects to a callback', async function () {
+            const transport = async (request) => request.url.endsWith('/start')
+                ? soft(301, '/internal')
+                : request.url.endsWith('/internal') ? soft(302, 'http://other.url/') : new Response('end');
+            const seen = [];
+            const softRedirect = (redirect, { hops }) => (seen.push({ ...redirect, hops }), redirect.location.startsWith('http://mock.url'));
+
+            const res = await fetchPlus('http://mock.url/start', { softRedirect }, transport);
+            expect(res.softRedirect).to.deep.equal({ code: 302, location: 'http://other.url/' });
+            expect(seen).to.deep.equal([
+                { code: 301, location: 'http://mock.url/internal', hops: 0 },
+                { code: 302, location: 'http://other.url/', hops: 1 },
+            ]);
+        });
+    });
+
+    describe('Resumable Downloads', function () {
+        const data = Uint8Array.from({ length: 100 }, (_, i) => i);
+
+        function createServer({ etag = '"v1"', failEvery = 30 } = {}) {
+            const server = async (request) => {
+                server.requests.push(request);
+                const ranges = request.headers.get('Range', true);
+                const start = ranges.length ? ranges[0].resolveAgainst(data.length)[0] : 0;
+                const ifRange = request.headers.get('If-Range');
+                const partial = ranges.length && (!ifRange || ifRange === server.etag);
+
+                const from = partial ? start : 0;
+                const until = Math.min(data.length, from + failEvery);
+                let sent = false;
+                const body = new ReadableStream({
+                    pull(controller) {
+                        if (!sent) return (sent = true, controller.enqueue(data.slice(from, until)));
+                        if (until < data.length) controller.error(new TypeError('terminated'));
+                        else controller.close();
+                    },
+                });
+                const headers = { 'Content-Length': String(data.length - from), 'ETag': server.etag };
+                if (!partial) return new Response(body, { headers: { ...headers, 'Content-Length': String(data.length) } });
+                return new Response(body, { status: 206, headers: { ...headers, 'Content-Range': `bytes ${from}-${data.length - 1}/${data.length}` } });
+            };
+            server.requests = [];
+            server.etag = etag;
+            return server;
+        }
+
+        it('should resume interrupted bodies with Range and If-Range', async function () {
+            const server = createServer();
+            const resumes = [];
+            const res = await fetchPlus.download('http://mock.url/export', { resume: { delay: 1, onResume: (e) => resumes.push(e.offset) } }, server);
+            expect(res.status).to.equal(200);
+            expect([...new Uint8Array(await res.arrayBuffer())]).to.deep.equal([...data]);
+            expect(resumes).to.deep.equal([30, 60, 90]);
+            expect(server.requests.map((r) => [r.headers.get('Range'), r.headers.get('If-Range')])).to.deep.equal([
+                [null, null],
+                ['bytes=30-99', '"v1"'],
+                ['bytes=60-99', '"v1"'],
+                ['bytes=90-99', '"v1"'],
+            ]);
+        });
+
+        it('should fail when the resource changes or the attempts run out', async function () {
+            const server = createServer();
+            const res1 = await fetchPlus.download('http://mock.url/export', { resume: { delay: 1, onResume: () => (server.etag = '"v2"') } }, server);
+            await expect(res1.arrayBuffer()).to.be.rejectedWith(/resource changed during the download/);
+
+            const res2 = await fetchPlus.download('http://mock.url/export', { resume: { delay: 1, limit: 1 } }, createServer());
+            await expect(res2.arrayBuffer()).to.be.rejectedWith(/terminated/);
+        });
+
+        it('should not resume without a strong validator', async function () {
+            const server = createServer({ etag: 'W/"v1"' });
+            const res = await fetchPlus.download('http://mock.url/export', {}, server);
+            await expect(res.arrayBuffer()).to.be.rejectedWith(/terminated/);
+            expect(server.requests).to.have.lengthOf(1);
+        });
+    });
+
+    describe('Segmented Downloads', function () {
+        const data = Uint8Array.from({ length: 100 }, (_, i) => i);
+
+        function createServer({ acceptRanges = 'bytes' } = {}) {
+            const server = async (request) => {
+                server.requests.push(`${request.method} ${request.headers.get('Range') || ''}`.trim());
+                const headers = { 'Content-Length': String(data.length), 'ETag': '"v1"', ...(acceptRanges ? { 'Accept-Ranges': acceptRanges } : {}) };
+                if (request.method === 'HEAD') return new Response(null, { headers });
+
+                const ranges = request.headers.get('Range', true);
+                if (!ranges.length) return new Response(data, { headers });
+                const [start, end] = ranges[0].resolveAgainst(data.length);
+                // Later segments arrive first
+                await new Promise((r) => setTimeout(r, 100 - start));
+                return new Response(data.slice(start, end + 1), {
+                    status: 206,
+                    headers: { ...headers, 'Content-Length': String(end - start + 1), 'Content-Range': `bytes ${start}-${end}/${data.length}` },
+                });
+            };
+            server.requests = [];
+            return server;
+        }
+
+        it('should fetch byte ranges concurrently and reassemble them in order', async function () {
+            const server = createServer();
+            const res = await fetchPlus.download('http://mock.url/asset', { segments: { count: 4, minSize: 10 } }, server);
+            expect(res.status).to.equal(200);
+            expect(res.headers.get('Content-Length')).to.equal('100');
+            expect([...new Uint8Array(await (await res.blob()).arrayBuffer())]).to.deep.equal([...data]);
+            expect(server.requests).to.deep.equal(['HEAD', 'GET bytes=0-24', 'GET bytes=25-49', 'GET bytes=50-74', 'GET bytes=75-99']);
+        });
+
+        it('should cap the bytes buffered per segment', async function () {
+            const pulled = {};
+            const server = async (request) => {
+                const headers = { 'Content-Length': String(data.length), 'ETag': '"v1"', 'Accept-Ranges': 'bytes' };
+                if (request.method === 'HEAD') return new Response(null, { headers });
+
+                const [start, end] = request.headers.get('Range', true)[0].resolveAgainst(data.length);
+                let offset = start;
+                pulled[start] = 0;
+                const body = new ReadableStream({
+                    pull(controller) {
+                        if (offset > end) return controller.close();
+                        const chunk = data.slice(offset, Math.min(offset + 5, end + 1));
+                        offset += chunk.length;
+                        pulled[start] += chunk.length;
+                        controller.enqueue(chunk);
+                    },
+                }, { highWaterMark: 0 });
+                return new Response(body, {
+                    status: 206,
+                    headers: { ...headers, 'Content-Length': String(end - start + 1), 'Content-Range': `bytes ${start}-${end}/${data.length}` },
+                });
+            };
+            const res = await fetchPlus.download('http://mock.url/asset', { segments: { count: 2, minSize: 10, bufferSize: 10 } }, server);
+            await new Promise((r) => setTimeout(r, 50));
+            expect(pulled[50]).to.be.lessThan(50);
+            expect([...new Uint8Array(await res.arrayBuffer())]).to.deep.equal([...data]);
+            expect(pulled[50]).to.equal(50);
+        });
+
+        it('should fall back to a single request without range support', async function () {
+            const server = createServer({ acceptRanges: 'none' });
+            const res = await fetchPlus.download('http://mock.url/asset', { segments: { count: 4, minSize: 10 } }, server);
+            expect([...new Uint8Array(await res.arrayBuffer())]).to.deep.equal([...data]);
+            expect(server.requests).to.deep.equal(['HEAD', 'GET']);
+
+            const small = createServer();
+            await (await fetchPlus.download('http://mock.url/asset', { segments: 4 }, small)).arrayBuffer();
+            expect(small.requests).to.deep.equal(['HEAD', 'GET']);
+        });
+    });
+
+    describe('Event Sources', function () {
+        const createServer = (streams) => {
+            const server = async (request) => {
+                server.requests.push(request);
+                const body = streams.shift();
+                if (body === undefined) return new Response(null, { status: 204 });
+                if (body instanceof Response) return body;
+                return new Response(new ReadableStream({
+                    start(controller) {
+                        controller.enqueue(new TextEncoder().encode(body));
+                        controller.close();
+                    },
+                }), { headers: { 'Content-Type': 'text/event-stream' } });
+            };
+            server.requests = [];
+            return server;
+        };
+
+        it('should reconnect with Last-Event-ID and the server\'s retry value until a 204', async function () {
+            const server = createServer(['retry: 5\nid: 1\ndata: a\n\nid: 2\ndata: b\n\n', 'id: 3\ndata: c\n\n']);
+            const reconnects = [];
+            const events = [];
+            for await (const event of fetchPlus.eventSource('http://mock.url/feed', { method: 'POST', body: { topic: 'news' }, headers: { 'Authorization': 'Bearer token' }, reconnect: { delay: 1, onReconnect: (e) => reconnects.push([e.lastEventId, e.delay]) } }, server)) {
+                events.push(event.data);
+            }
+            expect(events).to.deep.equal(['a', 'b', 'c']);
+            expect(reconnects).to.deep.equal([['2', 5], ['3', 5]]);
+            expect(server.requests.map((r) => r.headers.get('Last-Event-ID'))).to.deep.equal([null, '2', '3']);
+            for (const request of server.requests) {
+                expect(request.method).to.equal('POST');
+                expect(request.headers.get('Accept')).to.equal('text/event-stream');
+                expect(request.headers.get('Authorization')).to.equal('Bearer token');
+                expect(await request.json()).to.deep.equal({ topic: 'news' });
+            }
+        });
+
+        it('should fail on error statuses and other content types', async function () {
+            const consume = async (iterable) => { for await (const _ of iterable); };
+            await expect(consume(fetchPlus.eventSource('http://mock.url/feed', {}, createServer([new Response('Unauthorized', { status: 401 })])))).to.be.rejectedWith(HttpError);
+            await expect(consume(fetchPlus.eventSource('http://mock.url/feed', {}, createServer([new Response('{}', { headers: { 'Content-Type': 'application/json' } })])))).to.be.rejectedWith(/Expected a text\/event-stream response/);
+        });
+
+        it('should stop when the consumer breaks out or the attempts run out', async function () {
+            const server = createServer(['data: a\n\ndata: b\n\n', 'data: c\n\n']);
+            for await (const event of fetchPlus.eventSource('http://mock.url/feed', {}, server)) {
+                expect(event.data).to.equal('a');
+                break;
+            }
+            expect(server.requests).to.have.lengthOf(1);
+
+            const failing = async () => { throw new TypeError('fetch failed'); };
+            const source = fetchPlus.eventSource('http://mock.url/feed', { reconnect: { limit: 2, delay: 1 } }, failing);
+            await expect(source.next()).to.be.rejectedWith(/fetch failed/);
+        });
+    });
+
+    describe('Request Queues', function () {
+        const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+        function createServer(respond = () => new Response('ok')) {
+            const server = async (request) => {
+                server.active++;
+                server.maxActive = Math.max(server.maxActive, server.active);
+                server.log.push(new URL(request.url).pathname);
+                await wait(10);
+                server.active--;
+                return respond(request);
+            };
+            Object.assign(server, { active: 0, maxActive: 0, log: [] });
+            return server;
+        }
+
+        it('should cap concurrency globally and per origin', async function () {
+            const server = createServer();
+            const queue = new RequestQueue({ concurrency: 3, perOrigin: 2 });
+            const urls = ['http://a.url/1', 'http://a.url/2', 'http://a.url/3', 'http://b.url/1', 'http://b.url/2'];
+
+            const active = {}, maxActive = {};
+            const transport = async (request) => {
+                const { origin } = new URL(request.url);
+                active[origin] = (active[origin] || 0) + 1;
+                maxActive[origin] = Math.max(maxActive[origin] || 0, active[origin]);
+                try { return await server(request); } finally { active[origin]--; }
+            };
+            await Promise.all(urls.map((url) => fetchPlus(url, { queue }, transport)));
+            expect(server.maxActive).to.equal(3);
+            expect(maxActive).to.deep.equal({ 'http://a.url': 2, 'http://b.url': 2 });
+            expect(queue.active).to.equal(0);
+            expect(queue.size).to.equal(0);
+        });
+
+        it('should share queues through client options and dequeue by priority', async function () {
+            const server = createServer();
+            const client = fetchPlus.create({ queue: { concurrency: 1 } }, server);
+            await Promise.all([
+                client('http://mock.url/first'),
+                client('http://mock.url/low', { priority: 'low' }),
+                client('http://mock.url/normal'),
+                client('http://mock.url/urgent', { priority: 10 }),
+            ]);
+            expect(server.maxActive).to.equal(1);
+            expect(server.log).to.deep.equal(['/first', '/urgent', '/normal', '/low']);
+        });
+
+        it('should apply token bucket rate limits', async function () {
+            const server = createServer();
+            const queue = new RequestQueue({ rateLimit: { limit: 2, interval: 100 } });
+            const start = Date.now();
+            await Promise.all([1, 2, 3, 4].map((i) => fetchPlus(`http://mock.url/${i}`, { queue }, server)));
+            expect(Date.now() - start).to.be.at.least(90);
+        });
+
+        it('should pause origins per 429 and RateLimit responses', async function () {
+            expect(parseRateLimit(new Headers({ 'RateLimit': 'limit=10, remaining=0, reset=5' }))).to.deep.equal({ limit: 10, remaining: 0, reset: 5 });
+            expect(parseRateLimit(new Headers({ 'RateLimit': '"default";r=3;t=1' }))).to.deep.equal({ limit: null, remaining: 3, reset: 1 });
+            expect(parseRateLimit(new Headers({ 'RateLimit-Remaining': '0', 'RateLimit-Reset': '2' }))).to.deep.equal({ limit: null, remaining: 0, reset: 2 });
+
+            let throttled = true;
+            const server = createServer(() => throttled
+                ? (throttled = false, new Response(null, { status: 429, headers: { 'Retry-After': '1' } }))
+                : new Response('ok'));
+            const queue = new RequestQueue;
+
+            const res1 = await fetchPlus('http://mock.url/1', { queue }, server);
+            expect(res1.status).to.equal(429);
+            const start = Date.now();
+            const res2 = await fetchPlus('http://mock.url/2', { queue }, server);
+            expect(res2.status).to.equal(200);
+            expect(Date.now() - start).to.be.at.least(900);
+        });
+
+        it('should drop aborted requests from the queue', async function () {
+            const server = createServer();
+            const queue = new RequestQueue({ concurrency: 1 });
+            const controller = new AbortController;
+            const first = fetchPlus('http://mock.url/1', { queue }, server);
+            const second = fetchPlus('http://mock.url/2', { queue, signal: controller.signal }, server);
+            controller.abort();
+            await expect(second).to.be.rejected;
+            await first;
+            expect(server.log).to.deep.equal(['/1']);
+        });
+    });
+
+});
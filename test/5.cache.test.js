@@ -0,0 +1,172 @@
+import { expect } from 'chai';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fetchPlus } from '../src/fetchPlus.js';
+import { freshnessLifetime, currentAge, parseCacheControl, responseTimeHeader } from '../src/cacheMiddleware.js';
+import { MemoryCacheStorage } from '../src/MemoryCacheStorage.js';
+import { FileCacheStorage } from '../src/FileCacheStorage.js';
+import { CookieJar } from '../src/CookieJar.js';
+
+describe('HTTP Cache Tests', function () {
+
+    const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+    function createServer(handler) {
+        const server = async (request) => {
+            server.requests.push(request);
+            return handler(request, server.requests.length);
+        };
+        server.requests = [];
+        return server;
+    }
+
+    describe('Freshness', function () {
+        it('should parse Cache-Control directives', function () {
+            expect(parseCacheControl('public, max-age=60, no-cache="Set-Cookie"')).to.deep.equal({
+                'public': true,
+                'max-age': 60,
+                'no-cache': 'Set-Cookie',
+            });
+        });
+
+        it('should compute freshness lifetimes and ages', function () {
+            const now = Date.now();
+            const date = new Date(now - 10000).toUTCString();
+
+            expect(freshnessLifetime(new Headers({ 'Cache-Control': 'max-age=60, s-maxage=120' }))).to.equal(60000);
+            expect(freshnessLifetime(new Headers({ 'Cache-Control': 'max-age=60, s-maxage=120' }), { shared: true })).to.equal(120000);
+            expect(freshnessLifetime(new Headers({ 'Date': date, 'Expires': new Date(now + 50000).toUTCString() }))).to.be.within(59000, 61000);
+            expect(freshnessLifetime(new Headers({ 'Date': date, 'Last-Modified': new Date(now - 110000).toUTCString() }))).to.be.within(9000, 11000);
+
+            const headers = new Headers({ 'Date': date, 'Age': '5', [responseTimeHeader]: String(now - 2000) });
+            expect(currentAge(headers, now)).to.be.within(9000, 11000); // (response time - date) + resident time
+        });
+    });
+
+    describe('Caching', function () {
+        it('should serve fresh responses from the cache', async function () {
+            const server = createServer(() => new Response('content', { headers: { 'Cache-Control': 'max-age=60' } }));
+            const httpCache = { storage: new MemoryCacheStorage };
+
+            const res1 = await fetchPlus('http://mock.url/fresh', { httpCache }, server);
+            expect(await res1.text()).to.equal('content');
+
+            const res2 = await fetchPlus('http://mock.url/fresh', { httpCache }, server);
+            expect(await res2.text()).to.equal('content');
+            expect(res2.headers.get('Age')).to.equal('0');
+            expect(res2.headers.has(responseTimeHeader)).to.be.false;
+            expect(server.requests).to.have.lengthOf(1);
+        });
+
+        it('should revalidate stale responses with conditional requests', async function () {
+            const server = createServer((request, n) => {
+                if (request.headers.get('If-None-Match') === '"v1"') {
+                    return new Response(null, { status: 304, headers: { 'ETag': '"v1"', 'Cache-Control': 'max-age=0', 'X-Revalidated': 'true' } });
+                }
+                return new Response('content v1', { headers: { 'ETag': '"v1"', 'Cache-Control': 'max-age=0' } });
+            });
+            const httpCache = { storage: new MemoryCacheStorage };
+
+            await (await fetchPlus('http://mock.url/etag', { httpCache }, server)).text();
+            const res = await fetchPlus('http://mock.url/etag', { httpCache }, server);
+
+            expect(server.requests).to.have.lengthOf(2);
+            expect(server.requests[1].headers.get('If-None-Match')).to.equal('"v1"');
+            expect(res.status).to.equal(200);
+            expect(res.headers.get('X-Revalidated')).to.equal('true');
+            expect(await res.text()).to.equal('content v1');
+        });
+
+        it('should serve stale responses while revalidating in the background', async function () {
+            const server = createServer((request, n) => new Response(`content v${n}`, {
+                headers: { 'Cache-Control': 'max-age=0, stale-while-revalidate=60' }
+            }));
+            const httpCache = { storage: new MemoryCacheStorage };
+
+            await (await fetchPlus('http://mock.url/swr', { httpCache }, server)).text();
+            await wait(5);
+
+            const res2 = await fetchPlus('http://mock.url/swr', { httpCache }, server);
+            expect(await res2.text()).to.equal('content v1');
+            await wait(5);
+            expect(server.requests).to.have.lengthOf(2);
+
+            const res3 = await fetchPlus('http://mock.url/swr', { httpCache }, server);
+            expect(await res3.text()).to.equal('content v2');
+        });
+
+        it('should store separate variants per the Vary header', async function () {
+            const server = createServer((request) => new Response(request.headers.get('Accept-Language'), {
+                headers: { 'Cache-Control': 'max-age=60', 'Vary': 'Accept-Language' }
+            }));
+            const httpCache = { storage: new MemoryCacheStorage };
+            const get = async (lang) => (await fetchPlus('http://mock.url/vary', { httpCache, headers: { 'Accept-Language': lang } }, server)).text();
+
+            expect(await get('en')).to.equal('en');
+            expect(await get('fr')).to.equal('fr');
+            expect(await get('en')).to.equal('en');
+            expect(await get('fr')).to.equal('fr');
+            expect(server.requests).to.have.lengthOf(2);
+        });
+
+        it('should not share responses across credentials or cookie jars', async function () {
+            const server = createServer((request) => new Response(`${request.headers.get('Authorization')}:${request.headers.get('Cookie')}`, {
+                headers: { 'Cache-Control': request.url.endsWith('/public') ? 'public, max-age=60' : 'max-age=60' },
+            }));
+            const get = async (path, options) => (await fetchPlus(`http://mock.url${path}`, { httpCache: true, ...options }, server)).text();
+
+            expect(await get('/me', { headers: { 'Authorization': 'Bearer alice' } })).to.equal('Bearer alice:null');
+            expect(await get('/me', { headers: { 'Authorization': 'Bearer bob' } })).to.equal('Bearer bob:null');
+            expect(server.requests).to.have.lengthOf(2);
+
+            // Explicitly shareable responses are cached all the same
+            expect(await get('/public', { headers: { 'Authorization': 'Bearer alice' } })).to.equal('Bearer alice:null');
+            expect(await get('/public', { headers: { 'Authorization': 'Bearer bob' } })).to.equal('Bearer alice:null');
+            expect(server.requests).to.have.lengthOf(3);
+
+            const jarFor = (sid) => {
+                const jar = new CookieJar;
+                jar.ingest(new Response(null, { headers: { 'Set-Cookie': `sid=${sid}` } }), 'http://mock.url/');
+                return jar;
+            };
+            const alice = jarFor('alice'), bob = jarFor('bob');
+            expect(await get('/account', { cookieJar: alice })).to.equal('null:sid=alice');
+            expect(await get('/account', { cookieJar: bob })).to.equal('null:sid=bob');
+            expect(await get('/account', { cookieJar: alice })).to.equal('null:sid=alice');
+            expect(server.requests).to.have.lengthOf(5);
+        });
+
+        it('should respect no-store and invalidate on unsafe methods', async function () {
+            const server = createServer((request) => new Response('content', {
+                headers: { 'Cache-Control': request.url.endsWith('no-store') ? 'no-store' : 'max-age=60' }
+            }));
+            const httpCache = { storage: new MemoryCacheStorage };
+
+            await (await fetchPlus('http://mock.url/no-store', { httpCache }, server)).text();
+            await (await fetchPlus('http://mock.url/no-store', { httpCache }, server)).text();
+            expect(server.requests).to.have.lengthOf(2);
+
+            await (await fetchPlus('http://mock.url/item', { httpCache }, server)).text();
+            await (await fetchPlus('http://mock.url/item', { httpCache, method: 'DELETE' }, server)).text();
+            await (await fetchPlus('http://mock.url/item', { httpCache }, server)).text();
+            expect(server.requests).to.have.lengthOf(5);
+        });
+
+        it('should persist responses with the filesystem storage', async function () {
+            const dir = join(tmpdir(), `fetch-plus-cache-${Math.random().toString(36).substring(7)}`);
+            const server = createServer(() => new Response('persisted', { headers: { 'Cache-Control': 'max-age=60', 'Content-Type': 'text/plain' } }));
+
+            const storage = new FileCacheStorage(dir);
+            await (await fetchPlus('http://mock.url/file', { httpCache: { storage } }, server)).text();
+            await wait(5);
+
+            const res = await fetchPlus('http://mock.url/file', { httpCache: { storage: new FileCacheStorage(dir) } }, server);
+            expect(await res.text()).to.equal('persisted');
+            expect(res.headers.get('Content-Type')).to.equal('text/plain');
+            expect(server.requests).to.have.lengthOf(1);
+
+            await storage.clear();
+        });
+    });
+
+});
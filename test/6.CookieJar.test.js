@@ -0,0 +1,187 @@
+import { expect } from 'chai';
+import { CookieJar } from '../src/CookieJar.js';
+import { HeadersPlus } from '../src/HeadersPlus.js';
+import { fetchPlus } from '../src/fetchPlus.js';
+
+describe('CookieJar Tests', function () {
+
+    const respond = (...setCookies) => {
+        const headers = new HeadersPlus;
+        for (const setCookie of setCookies) headers.append('Set-Cookie', setCookie);
+        return new Response(null, { headers });
+    };
+    const cookieNames = (jar, url, options) => jar.cookiesFor(url, options).map((c) => c.name);
+
+    it('should ingest cookies and match them by domain and path', function () {
+        const jar = new CookieJar;
+        jar.ingest(respond(
+            'host=1',
+            'domain=2; Domain=.example.com',
+            'scoped=3; Path=/account',
+            'token=a=b==; Path=/',
+        ), 'https://www.example.com/login');
+
+        expect(cookieNames(jar, 'https://www.example.com/')).to.have.members(['host', 'domain', 'token']);
+        expect(cookieNames(jar, 'https://api.example.com/')).to.deep.equal(['domain']);
+        expect(cookieNames(jar, 'https://www.example.com/account/settings')).to.deep.equal(['scoped', 'host', 'domain', 'token']);
+        expect(cookieNames(jar, 'https://www.example.com/accounts')).to.not.include('scoped');
+        expect(jar.cookiesFor('https://www.example.com/').find((c) => c.name === 'token').value).to.equal('a=b==');
+    });
+
+    it('should reject cookies for foreign domains and insecure origins', function () {
+        const jar = new CookieJar;
+        jar.ingest(respond('foreign=1; Domain=other.com', 'secure=2; Secure', 'none=3; SameSite=None'), 'http://www.example.com/');
+        expect(jar.size).to.equal(0);
+
+        jar.ingest(respond('secure=2; Secure'), 'https://www.example.com/');
+        expect(cookieNames(jar, 'https://www.example.com/')).to.deep.equal(['secure']);
+        expect(cookieNames(jar, 'http://www.example.com/')).to.deep.equal([]);
+    });
+
+    it('should reject cookies for public suffixes', function () {
+        const jar = new CookieJar;
+        jar.ingest(respond('tld=1; Domain=com', 'dotted=2; Domain=.com'), 'https://www.example.com/');
+        jar.ingest(respond('suffix=3; Domain=co.uk', 'site=4; Domain=example.co.uk'), 'https://www.example.co.uk/');
+        jar.ingest(respond('pages=5; Domain=github.io'), 'https://user.github.io/');
+        expect(cookieNames(jar, 'https://www.other.com/')).to.deep.equal([]);
+        expect(cookieNames(jar, 'https://www.other.co.uk/')).to.deep.equal([]);
+        expect(cookieNames(jar, 'https://other.github.io/')).to.deep.equal([]);
+        expect(cookieNames(jar, 'https://api.example.co.uk/')).to.deep.equal(['site']);
+
+        // Except as the host itself
+        jar.ingest(respond('local=6; Domain=localhost'), 'http://localhost/');
+        expect(jar.cookiesFor('http://localhost/').find((c) => c.name === 'local')).to.include({ domain: 'localhost', hostOnly: true });
+    });
+
+    it('should take public suffixes from an isPublicSuffix option', function () {
+        const isPublicSuffix = (domain) => ['s3.amazonaws.com'].includes(domain);
+        const url = 'https://bucket.s3.amazonaws.com/';
+
+        const fallback = new CookieJar;
+        fallback.ingest(respond('wide=1; Domain=s3.amazonaws.com', 'strict=2; SameSite=Strict'), url);
+        expect(cookieNames(fallback, 'https://other.s3.amazonaws.com/')).to.deep.equal(['wide']);
+
+        const jar = new CookieJar({ isPublicSuffix });
+        jar.ingest(respond('wide=1; Domain=s3.amazonaws.com', 'strict=2; SameSite=Strict', 'tld=3; Domain=com'), url);
+        expect(cookieNames(jar, 'https://other.s3.amazonaws.com/')).to.deep.equal([]);
+        expect(cookieNames(jar, url)).to.deep.equal(['strict']);
+
+        // Sites under the suffix are cross-site to each other
+        expect(cookieNames(jar, url, { site: 'https://other.s3.amazonaws.com' })).to.deep.equal([]);
+        expect(cookieNames(fallback, url, { site: 'https://other.s3.amazonaws.com' })).to.have.members(['wide', 'strict']);
+        expect(cookieNames(CookieJar.fromJSON(JSON.stringify(jar), { isPublicSuffix }), url, { site: 'https://other.s3.amazonaws.com' })).to.deep.equal([]);
+    });
+
+    it('should enforce Expires and Max-Age', function () {
+        const jar = new CookieJar;
+        const url = 'https://example.com/';
+        jar.ingest(respond(
+            'session=1',
+            'persistent=2; Max-Age=3600; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
+            'expired=3; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
+        ), url);
+        expect(cookieNames(jar, url)).to.have.members(['session', 'persistent']);
+
+        jar.ingest(respond('session=1; Max-Age=0'), url);
+        expect(cookieNames(jar, url)).to.deep.equal(['persistent']);
+    });
+
+    it('should enforce __Host- and __Secure- prefixes', function () {
+        const jar = new CookieJar;
+        const url = 'https://www.example.com/app/';
+        jar.ingest(respond(
+            '__Secure-a=1',
+            '__Secure-b=2; Secure',
+            '__Host-c=3; Secure',
+            '__Host-d=4; Secure; Path=/',
+            '__Host-e=5; Secure; Path=/; Domain=example.com',
+        ), url);
+        expect(cookieNames(jar, url)).to.have.members(['__Secure-b', '__Host-d']);
+    });
+
+    it('should enforce SameSite for cross-site requests', function () {
+        const jar = new CookieJar;
+        const url = 'https://example.com/';
+        jar.ingest(respond('strict=1; SameSite=Strict', 'lax=2; SameSite=Lax', 'none=3; SameSite=None; Secure'), url);
+
+        expect(cookieNames(jar, url, { site: 'https://www.example.com' })).to.have.members(['strict', 'lax', 'none']);
+        expect(cookieNames(jar, url, { site: 'https://other.com' })).to.have.members(['lax', 'none']);
+        expect(cookieNames(jar, url, { site: 'https://other.com', method: 'POST' })).to.deep.equal(['none']);
+    });
+
+    it('should attach cookies to requests alongside existing ones', function () {
+        const jar = new CookieJar;
+        jar.ingest(respond('a=1', 'b=2'), 'https://example.com/');
+
+        const request = new Request('https://example.com/', { headers: { 'Cookie': 'b=override; c=3' } });
+        jar.attach(request);
+        expect(request.headers.get('Cookie')).to.equal('b=override; c=3; a=1');
+    });
+
+    it('should round-trip through JSON', function () {
+        const jar = new CookieJar;
+        jar.ingest(respond('a=1; Max-Age=3600; HttpOnly', 'b=2; Domain=example.com; Path=/docs'), 'https://www.example.com/');
+
+        const restored = CookieJar.fromJSON(JSON.stringify(jar));
+        expect(restored.toJSON()).to.deep.equal(jar.toJSON());
+        expect(restored.cookiesFor('https://api.example.com/docs/intro')[0]).to.include({ name: 'b', value: '2', hostOnly: false });
+    });
+
+    it('should persist sessions across fetchPlus calls', async function () {
+        const jar = new CookieJar;
+        const transport = async (request) => {
+            if (request.url.endsWith('/login')) return respond('session=abc; Path=/; HttpOnly; Secure');
+            return new Response(request.headers.get('Cookie'));
+        };
+
+        await fetchPlus('https://example.com/login', { method: 'POST', cookieJar: jar }, transport);
+        const res = await fetchPlus('https://example.com/profile', { cookieJar: jar }, transport);
+        expect(await res.text()).to.equal('session=abc');
+    });
+
+    it('should store cookies set on redirects', async function () {
+        const jar = new CookieJar;
+        const seen = [];
+        const transport = async (request) => {
+            seen.push([request.method, request.url, request.redirect, request.headers.get('Cookie')]);
+            if (request.url.endsWith('/login')) {
+                const response = respond('session=abc; Path=/');
+                response.headers.set('Location', '/account');
+                return new Response(null, { status: 302, headers: response.headers });
+            }
+            if (request.url.endsWith('/account')) {
+                return new Response(null, { status: 307, headers: { 'Location': 'https://cdn.example.org/home' } });
+            }
+            return new Response(request.headers.get('Cookie'));
+        };
+
+        const res = await fetchPlus('https://example.com/login', { method: 'POST', body: 'credentials', cookieJar: jar }, transport);
+        expect(res.redirected).to.be.true;
+        expect(seen).to.deep.equal([
+            ['POST', 'https://example.com/login', 'manual', null],
+            ['GET', 'https://example.com/account', 'manual', 'session=abc'],
+            ['GET', 'https://cdn.example.org/home', 'manual', null],
+        ]);
+        expect(cookieNames(jar, 'https://example.com/')).to.deep.equal(['session']);
+
+        // Redirects that aren't followed stay with the caller
+        const manual = await fetchPlus('https://example.com/login', { redirect: 'manual', cookieJar: jar }, transport);
+        expect(manual.status).to.equal(302);
+    });
+
+    it('should not send requests again after opaque redirects', async function () {
+        const jar = new CookieJar;
+        let sends = 0;
+        const transport = async () => {
+            sends++;
+            // As browsers respond to "manual" redirects
+            const response = new Response(null, { status: 200 });
+            Object.defineProperty(response, 'type', { value: 'opaqueredirect' });
+            return response;
+        };
+        const res = await fetchPlus('https://example.com/submit', { method: 'POST', body: 'order', cookieJar: jar }, transport);
+        expect(res.type).to.equal('opaqueredirect');
+        expect(sends).to.equal(1);
+    });
+
+});
@@ -0,0 +1,97 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+chai.use(chaiAsPromised);
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fetchPlus } from '../src/fetchPlus.js';
+import { ResponsePlus } from '../src/ResponsePlus.js';
+import { LiveResponse } from '../src/LiveResponse.js';
+import { MockTransport } from '../src/MockTransport.js';
+
+describe('MockTransport Tests', function () {
+
+    describe('Routes', function () {
+        it('should match routes by method and URL pattern', async function () {
+            const mock = new MockTransport()
+                .get('/users/:id', (request, { id }) => ResponsePlus.from({ id }))
+                .post('http://api.test/users', { created: true })
+                .any(/\/files\/(?<path>.+)$/, (request, { path }) => new Response(path));
+
+            const res1 = await fetchPlus('http://api.test/users/42', {}, mock.fetch);
+            expect(await res1.any()).to.deep.equal({ id: '42' });
+
+            const res2 = await fetchPlus('http://api.test/users', { method: 'POST' }, mock.fetch);
+            expect(await res2.any()).to.deep.equal({ created: true });
+            const res3 = await fetchPlus('http://api.test/users', { method: 'POST' }, mock.fetch);
+            expect(await res3.any()).to.deep.equal({ created: true });
+
+            const res4 = await fetchPlus('http://api.test/files/a/b.txt', { method: 'PUT' }, mock.fetch);
+            expect(await res4.text()).to.equal('a/b.txt');
+
+            expect(mock.calls.map((request) => request.method)).to.deep.equal(['GET', 'POST', 'POST', 'PUT']);
+        });
+
+        it('should serve LiveResponse fixtures to live fetches', async function () {
+            const mock = new MockTransport().get('/feed', () => new LiveResponse('live data'));
+
+            const res = await fetchPlus('http://api.test/feed', { live: true }, mock.fetch);
+            expect(res).to.be.instanceOf(LiveResponse);
+            expect((await res.now()).body).to.equal('live data');
+            expect(mock.calls[0].headers.get('X-Accept-Live')).to.equal('*');
+        });
+
+        it('should throw on unmatched requests', async function () {
+            const mock = new MockTransport().get('/known', 'ok');
+            await expect(fetchPlus('http://api.test/unknown', {}, mock.fetch)).to.be.rejectedWith(/No mock route or fixture matches the request: GET http:\/\/api.test\/unknown/);
+        });
+    });
+
+    describe('Record and Replay', function () {
+        const server = async (request) => {
+            if (request.url.endsWith('/binary')) {
+                return new Response(new Uint8Array([0, 1, 255]), { headers: { 'Content-Type': 'application/octet-stream' } });
+            }
+            return new Response(JSON.stringify({ echo: await request.text() }), { status: 201, headers: { 'Content-Type': 'application/json', 'X-Server': 'real' } });
+        };
+
+        it('should record exchanges and replay them in order', async function () {
+            const recorder = new MockTransport({ mode: 'record', fetch: server });
+            await (await fetchPlus('http://api.test/echo', { method: 'POST', body: 'first' }, recorder.fetch)).text();
+            await (await fetchPlus('http://api.test/echo', { method: 'POST', body: 'second' }, recorder.fetch)).text();
+            await (await fetchPlus('http://api.test/binary', {}, recorder.fetch)).arrayBuffer();
+
+            const fixture = JSON.parse(JSON.stringify(recorder));
+            expect(fixture.exchanges).to.have.lengthOf(3);
+            expect(fixture.exchanges[0].request).to.include({ method: 'POST', url: 'http://api.test/echo', body: 'first' });
+            expect(fixture.exchanges[2].response).to.include({ body: 'AAH/', bodyEncoding: 'base64' });
+
+            const replayer = MockTransport.fromJSON(fixture);
+            const res1 = await fetchPlus('http://api.test/echo', { method: 'POST', body: 'first' }, replayer.fetch);
+            expect(res1.status).to.equal(201);
+            expect(res1.headers.get('X-Server')).to.equal('real');
+            expect(await res1.any()).to.deep.equal({ echo: 'first' });
+
+            const res2 = await fetchPlus('http://api.test/binary', {}, replayer.fetch);
+            expect([...new Uint8Array(await res2.arrayBuffer())]).to.deep.equal([0, 1, 255]);
+
+            expect(() => replayer.assertDone()).to.throw(/1 recorded exchange\(s\) were not replayed: POST http:\/\/api.test\/echo/);
+            const res3 = await fetchPlus('http://api.test/echo', { method: 'POST' }, replayer.fetch);
+            expect(await res3.any()).to.deep.equal({ echo: 'second' });
+            replayer.assertDone();
+
+            await expect(fetchPlus('http://api.test/echo', { method: 'POST' }, replayer.fetch)).to.be.rejectedWith(/No mock route or fixture matches/);
+        });
+
+        it('should save and load fixture files', async function () {
+            const path = join(tmpdir(), `fetch-plus-fixture-${Math.random().toString(36).substring(7)}.json`);
+            const recorder = new MockTransport({ mode: 'record', fetch: server });
+            await (await fetchPlus('http://api.test/echo', { method: 'POST', body: 'saved' }, recorder.fetch)).text();
+            await recorder.save(path);
+
+            const replayer = await MockTransport.load(path);
+            const res = await fetchPlus('http://api.test/echo', { method: 'POST', body: 'saved' }, replayer.fetch);
+            expect(await res.any()).to.deep.equal({ echo: 'saved' });
+        });
+    });
+
+});
@@ -0,0 +1,111 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+chai.use(chaiAsPromised);
+import { createHmac } from 'node:crypto';
+import { RequestPlus } from '../src/RequestPlus.js';
+import { ResponsePlus } from '../src/ResponsePlus.js';
+import { fetchPlus } from '../src/fetchPlus.js';
+import { parseDictionary, signatureBase } from '../src/messageSignatures.js';
+
+describe('HTTP Message Signatures Tests', function () {
+
+    const createRequest = (headers = {}) => new RequestPlus('https://example.com/foo?param=Value&Pet=dog', {
+        method: 'POST',
+        headers: {
+            'Date': 'Tue, 20 Apr 2021 02:07:55 GMT',
+            'Content-Type': 'application/json',
+            ...headers,
+        },
+        body: '{"hello": "world"}',
+    });
+
+    it('should parse structured field dictionaries', function () {
+        const dictionary = parseDictionary('sig1=("@method" "@query-param";name="Pet");created=1618884473;keyid="key \\"1\\"", sig2=:AAH/:');
+        expect(dictionary.get('sig1').value).to.deep.equal([
+            { value: '@method', params: {} },
+            { value: '@query-param', params: { name: 'Pet' } },
+        ]);
+        expect(dictionary.get('sig1').params).to.deep.equal({ created: 1618884473, keyid: 'key "1"' });
+        expect(dictionary.get('sig1').raw).to.equal('("@method" "@query-param";name="Pet");created=1618884473;keyid="key \\"1\\""');
+        expect(dictionary.get('sig2').value).to.deep.equal({ bytes: 'AAH/' });
+    });
+
+    it('should build signature bases and HMAC-SHA256 signatures per RFC 9421', async function () {
+        const request = createRequest();
+        const signatureParams = '("date" "@authority" "content-type");created=1618884473;keyid="test-shared-secret"';
+        const components = ['date', '@authority', 'content-type'].map((name) => ({ name, params: {} }));
+        const base = signatureBase(request, components, signatureParams);
+        expect(base).to.equal([
+            '"date": Tue, 20 Apr 2021 02:07:55 GMT',
+            '"@authority": example.com',
+            '"content-type": application/json',
+            `"@signature-params": ${signatureParams}`,
+        ].join('\n'));
+
+        await request.sign({ key: 'secret', label: 'sig-b25', keyId: 'test-shared-secret', created: 1618884473, components: ['date', '@authority', 'content-type'] });
+        expect(request.headers.get('Signature-Input')).to.equal(`sig-b25=${signatureParams}`);
+        expect(request.headers.get('Signature')).to.equal(`sig-b25=:${createHmac('sha256', 'secret').update(base).digest('base64')}:`);
+
+        const result = await request.verifySignature({ keys: { 'test-shared-secret': 'secret' }, components: ['date', '@authority', 'content-type'] });
+        expect(result).to.include({ label: 'sig-b25', keyId: 'test-shared-secret', alg: 'hmac-sha256', created: 1618884473 });
+
+        request.headers.set('Content-Type', 'text/plain');
+        await expect(request.verifySignature({ key: 'secret', components: [] })).to.be.rejectedWith(/the signature does not match/);
+    });
+
+    it('should sign and verify with ECDSA P-256 and Ed25519 keys', async function () {
+        for (const algorithm of [{ name: 'ECDSA', namedCurve: 'P-256' }, { name: 'Ed25519' }]) {
+            const { privateKey, publicKey } = await crypto.subtle.generateKey(algorithm, false, ['sign', 'verify']);
+            const request = createRequest();
+            await request.sign({ key: privateKey, keyId: 'client', components: ['@method', '@target-uri', '@query-param;name="Pet"', 'content-type'] });
+
+            expect(request.headers.get('Signature-Input')).to.match(/^sig1=\("@method" "@target-uri" "@query-param";name="Pet" "content-type"\);created=\d+;keyid="client"$/);
+            const result = await request.verifySignature({ keys: async (keyId) => keyId === 'client' && publicKey, components: ['@method', 'content-type'] });
+            expect(result.components).to.deep.equal(['"@method"', '"@target-uri"', '"@query-param";name="Pet"', '"content-type"']);
+
+            const tampered = new RequestPlus(request.url.replace('dog', 'cat'), { method: 'POST', headers: request.headers });
+            await expect(tampered.verifySignature({ key: publicKey })).to.be.rejectedWith(/the signature does not match/);
+        }
+    });
+
+    it('should enforce coverage, keys and validity periods', async function () {
+        const request = createRequest();
+        await request.addDigest();
+        await request.sign({ key: 'secret', keyId: 'k1', created: Math.floor(Date.now() / 1000) - 100, expires: Math.floor(Date.now() / 1000) + 100 });
+
+        await expect(request.verifySignature({ key: 'secret', components: ['date'] })).to.be.rejectedWith(/doesn't cover "date"/);
+        await expect(request.verifySignature({ keys: {} })).to.be.rejectedWith(/no key for keyid "k1"/);
+        await expect(request.verifySignature({ key: 'secret', maxAge: 60 })).to.be.rejectedWith(/too old/);
+        await expect(request.verifySignature({ key: 'secret', maxAge: 600 })).to.be.fulfilled;
+        await expect(createRequest().verifySignature({ key: 'secret' })).to.be.rejectedWith(/not signed/);
+
+        // Signatures must cover the request and its body by default
+        const uncovered = createRequest();
+        await uncovered.sign({ key: 'secret', components: ['content-type'] });
+        await expect(uncovered.verifySignature({ key: 'secret' })).to.be.rejectedWith(/doesn't cover "@method", "@target-uri", "content-digest"/);
+        await expect(uncovered.verifySignature({ key: 'secret', components: ['content-type'] })).to.be.fulfilled;
+        const bodiless = new RequestPlus('https://example.com/', { method: 'DELETE' });
+        await bodiless.sign({ key: 'secret' });
+        await expect(bodiless.verifySignature({ key: 'secret' })).to.be.fulfilled;
+    });
+
+    it('should sign responses, with request-bound components', async function () {
+        const request = createRequest();
+        const response = await ResponsePlus.from({ ok: true }, { status: 201 }).addDigest();
+        await response.sign({ key: 'secret', components: ['@status', 'content-digest', '@method;req', '@authority;req'], request });
+
+        expect(await response.verifySignature({ key: 'secret', request })).to.include({ alg: 'hmac-sha256' });
+        await expect(response.verifySignature({ key: 'secret' })).to.be.rejectedWith(/requires the request/);
+    });
+
+    it('should sign outgoing fetchPlus requests', async function () {
+        let verified;
+        const transport = async (request) => {
+            verified = await RequestPlus.upgradeInPlace(request).verifySignature({ keys: { 'webhook': 'secret' } });
+            return new Response('ok');
+        };
+        await fetchPlus('https://example.com/hooks', { method: 'POST', body: { event: 'ping' }, digest: 'sha-256', signature: { key: 'secret', keyId: 'webhook' } }, transport);
+        expect(verified.components).to.deep.equal(['"@method"', '"@target-uri"', '"content-type"', '"content-digest"']);
+    });
+
+});